@@ -39,6 +39,7 @@ modules.all = {
 
 modules.statevis.test.push('build/modular/ct-ui-router-extras.sticky.js');
 modules.previous.test.push('build/modular/ct-ui-router-extras.transition.js');
+modules.dsr.test.push('build/modular/ct-ui-router-extras.future.js');
 
 
 var otherFiles = {
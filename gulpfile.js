@@ -105,7 +105,7 @@ gulp.task('karma:modules', ['scripts'], function() {
 gulp.task('karma:versions', ['scripts'], function() {
   var karma = require('karma').server;
   var Q = require('q');
-  var versions = [ '0.2.8', '0.2.10', '0.2.12', '0.2.13', '0.2.14', '0.2.15', '0.2.16', '0.2.18' ];
+  var versions = [ '0.2.8', '0.2.10', '0.2.12', '0.2.13', '0.2.14', '0.2.15', '0.2.16', '0.2.18', '0.3.0', '0.3.2', '0.4.0', '0.4.3' ];
   var dynamicconf = require("./test/conf/karma.dynamic.conf");
 
   var promise = Q(true);
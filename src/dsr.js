@@ -1,10 +1,11 @@
 var ignoreDsr;
+var lastTransitionOptions; // The options of the most recent call to $state.transitionTo
 function resetIgnoreDsr() {
   ignoreDsr = undefined;
 }
 
 // Decorate $state.transitionTo to gain access to the last transition.options variable.
-// This is used to process the options.ignoreDsr option
+// This is used to process the options.ignoreDsr option, and to continue a transition with its own options
 angular.module('ct.ui.router.extras.dsr', [ 'ct.ui.router.extras.core' ]).config([ "$provide", function ($provide) {
   var $state_transitionTo;
   $provide.decorator("$state", ['$delegate', '$q', function ($state, $q) {
@@ -13,6 +14,7 @@ angular.module('ct.ui.router.extras.dsr', [ 'ct.ui.router.extras.core' ]).config
       if (options && options.ignoreDsr) {
         ignoreDsr = options.ignoreDsr;
       }
+      lastTransitionOptions = options;
 
       return $state_transitionTo.apply($state, arguments).then(
         function (result) {
@@ -29,146 +31,562 @@ angular.module('ct.ui.router.extras.dsr', [ 'ct.ui.router.extras.core' ]).config
   }]);
 }]);
 
-angular.module('ct.ui.router.extras.dsr').service("$deepStateRedirect", [ '$rootScope', '$state', '$injector', function ($rootScope, $state, $injector) {
-  var lastSubstate = {};
-  var deepStateRedirectsByName = {};
+$DeepStateRedirectProvider.$inject = [];
+function $DeepStateRedirectProvider() {
+  var persistence; // undefined means the remembered substates aren't persisted
+  var partitionKey; // undefined means the last substates aren't partitioned
 
-  var REDIRECT = "Redirect", ANCESTOR_REDIRECT = "AncestorRedirect";
+  // Gets or sets the persistence adapter for the remembered substates of the DSR states, so they are remembered across
+  // sessions.  The adapter is "localStorage", "sessionStorage", an object with a load(partition) function (which
+  // returns the persisted substates of a partition, or a promise for them) and a save(persisted, partition) function,
+  // or an injectable function which returns such an object (e.g., to key the storage by the current user).  The
+  // partition is the key of the partition (see partitionKey()), or "" if the substates aren't partitioned.
+  // The persisted substates of a partition are an object { partition: partitionKey, substates: { dsrState: { dsrKey:
+  // [ { state: stateName, params: params }, ... ] } } } which holds the substate histories of the DSR states (see the
+  // deepStateRedirect: { history: n } option), most recent substate first.  Persisted substates which were saved for
+  // another partition are ignored when they are loaded, so an adapter may ignore the partition argument.  Persisted
+  // substates of states which aren't registered are dropped, unless the states are future states (see $futureState).
+  this.persistence = function (adapter) {
+    if (angular.isDefined(adapter))
+      persistence = adapter;
+    return persistence;
+  };
 
-  function computeDeepStateStatus(state) {
-    var name = state.name;
-    if (deepStateRedirectsByName.hasOwnProperty(name))
-      return deepStateRedirectsByName[name];
-    recordDeepStateRedirectStatus(name);
-  }
+  // Gets or sets the partition key function: an injectable function which returns the key of the active partition
+  // (e.g., the current organization's id).  The last substates are remembered separately for each partition, and
+  // $deepStateRedirect redirects using the last substates of the active partition.
+  this.partitionKey = function (fn) {
+    if (angular.isDefined(fn))
+      partitionKey = fn;
+    return partitionKey;
+  };
+
+  this.$get = [ '$rootScope', '$state', '$injector', '$window', function ($rootScope, $state, $injector, $window) {
+    var partitions = {}; // partition key -> { lastSubstate: {}, substateHistory: {}, unresolved: {} }
+    var partition; // The key of the active partition.  See usePartition()
+    var lastSubstate; // The last substates of the active partition: dsrState -> key -> { state: stateName, params: params }
+    var substateHistory; // dsrState -> key -> remembered substates, most recent first.  See getSubstateHistory()
+    var deepStateRedirectsByName = {};
+    var stateChangeStarts = 0; // Number of $stateChangeStart events; used to detect superseded transitions
+
+    var REDIRECT = "Redirect", ANCESTOR_REDIRECT = "AncestorRedirect";
+
+    function computeDeepStateStatus(state) {
+      var name = state.name;
+      if (deepStateRedirectsByName.hasOwnProperty(name))
+        return deepStateRedirectsByName[name];
+      recordDeepStateRedirectStatus(name);
+    }
+
+    function getConfig(state) {
+      var declaration = state.deepStateRedirect || state.dsr;
+      if (!declaration) return { dsr: false };
+      var dsrCfg = { dsr: true };
+
+      if (angular.isFunction(declaration)) {
+        dsrCfg.fn = declaration;
+      } else if (angular.isObject(declaration)) {
+        dsrCfg = angular.extend(dsrCfg, declaration);
+      }
+
+      if (angular.isString(dsrCfg['default'])) {
+        dsrCfg['default'] = { state: dsrCfg['default'] };
+      }
 
-  function getConfig(state) {
-    var declaration = state.deepStateRedirect || state.dsr;
-    if (!declaration) return { dsr: false };
-    var dsrCfg = { dsr: true };
+      if (!dsrCfg.fn) {
+        dsrCfg.fn = [ '$dsr$', function($dsr$) {
+          return $dsr$.redirect.state != $dsr$.to.state;
+        } ];
+      }
+      return dsrCfg;
+    }
+
+    function recordDeepStateRedirectStatus(stateName) {
+      var state = $state.get(stateName);
+      if (!state) return false;
+      var cfg = getConfig(state);
+      if (cfg.dsr) {
+        deepStateRedirectsByName[state.name] = REDIRECT;
+        angular.forEach(partitions, function (partition) {
+          if (partition.lastSubstate[stateName] === undefined)
+            partition.lastSubstate[stateName] = {};
+        });
+      }
+
+      var parent = state.$$state && state.$$state().parent;
+      if (parent) {
+        var parentStatus = recordDeepStateRedirectStatus(parent.self.name);
+        if (parentStatus && deepStateRedirectsByName[state.name] === undefined) {
+          deepStateRedirectsByName[state.name] = ANCESTOR_REDIRECT;
+        }
+      }
+      return deepStateRedirectsByName[state.name] || false;
+    }
 
-    if (angular.isFunction(declaration)) {
-      dsrCfg.fn = declaration;
-    } else if (angular.isObject(declaration)) {
-      dsrCfg = angular.extend(dsrCfg, declaration);
+    function getMatchParams(params, dsrParams) {
+      if (dsrParams === true) dsrParams = Object.keys(params);
+      if (dsrParams === null || dsrParams === undefined) dsrParams = [];
+
+      var matchParams = {};
+      angular.forEach(dsrParams.sort(), function(name) { matchParams[name] = params[name]; });
+      return matchParams;
     }
 
-    if (angular.isString(dsrCfg['default'])) {
-      dsrCfg['default'] = { state: dsrCfg['default'] };
+    function getParamsString(params, dsrParams) {
+      var matchParams = getMatchParams(params, dsrParams);
+      function safeString(input) { return !input ? input : input.toString(); }
+      var paramsToString = {};
+      angular.forEach(matchParams, function(val, name) { paramsToString[name] = safeString(val); });
+      return angular.toJson(paramsToString);
     }
 
-    if (!dsrCfg.fn) {
-      dsrCfg.fn = [ '$dsr$', function($dsr$) {
-        return $dsr$.redirect.state != $dsr$.to.state;
-      } ];
+    // Returns the persistence adapter configured using $deepStateRedirectProvider.persistence(), wrapping the
+    // built in "localStorage" and "sessionStorage" adapters.
+    function getStorage() {
+      if (!persistence) return undefined;
+      if (angular.isFunction(persistence) || angular.isArray(persistence)) return $injector.invoke(persistence);
+      if (!angular.isString(persistence)) return persistence;
+      var webStorage = $window[persistence], key = "ct.ui.router.extras.dsr.lastSubstate";
+      function partitionedKey(partition) { return partition ? key + "." + partition : key; }
+      return {
+        load: function (partition) { return angular.fromJson(webStorage.getItem(partitionedKey(partition))); },
+        save: function (persisted, partition) { webStorage.setItem(partitionedKey(partition), angular.toJson(persisted)); }
+      };
+    }
+
+    // Returns the names of the params declared by a state
+    function getParamNames(state) {
+      var params = state.$$state().params;
+      if (angular.isArray(params)) return params;
+      return params.$$keys ? params.$$keys() : Object.keys(params);
+    }
+
+    // Returns true if a persisted substate ({ state: stateName, params: params }) of a DSR state can be remembered
+    // for the DSR key: the substate is a descendant of the DSR state, and its params match the DSR key and the
+    // substate's own params.
+    function isValidSubstate(redirect, state, cfg, key) {
+      var substate = $state.get(redirect.state);
+      if (!substate.$$state().includes[state.name]) return false;
+      var params = redirect.params || {}, paramNames = getParamNames(substate);
+      var unknownParams = Object.keys(params).filter(function (name) { return paramNames.indexOf(name) === -1; });
+      return !unknownParams.length && getParamsString(params, cfg.params) === key;
+    }
+
+    // Returns true if a state which isn't registered may still be registered: it is (or is a descendant of) a future
+    // state (see $futureStateProvider.futureState()), which is registered when it is lazy loaded.
+    function isFutureState(name) {
+      if (!$injector.has("$futureState")) return false;
+      return Object.keys($injector.get("$futureState").get()).some(function (future) {
+        return name === future || name.indexOf(future + ".") === 0;
+      });
     }
-    return dsrCfg;
-  }
 
-  function recordDeepStateRedirectStatus(stateName) {
-    var state = $state.get(stateName);
-    if (!state) return false;
-    var cfg = getConfig(state);
-    if (cfg.dsr) {
-      deepStateRedirectsByName[state.name] = REDIRECT;
-      if (lastSubstate[stateName] === undefined)
-        lastSubstate[stateName] = {};
-    }
-
-    var parent = state.$$state && state.$$state().parent;
-    if (parent) {
-      var parentStatus = recordDeepStateRedirectStatus(parent.self.name);
-      if (parentStatus && deepStateRedirectsByName[state.name] === undefined) {
-        deepStateRedirectsByName[state.name] = ANCESTOR_REDIRECT;
+    // Adds the persisted substate histories (dsrState -> key -> [ { state: stateName, params: params } ], most recent
+    // first) to the remembered substates of a partition.  Histories which refer to a future state (a DSR state or
+    // substate which isn't registered yet) are kept in partition.unresolved: they are checked again once more states are
+    // registered, and are saved along with the remembered substates in the meantime.  Histories whose DSR state no
+    // longer exists (or is no longer a DSR state) are dropped, as are the substates which no longer exist or whose
+    // params no longer match the DSR state's params (or the substate's params).
+    function rehydrate(persisted, partition) {
+      var unresolved = partition.unresolved = {};
+      angular.forEach(persisted, function (histories, dsrState) {
+        var state = $state.get(dsrState);
+        if (!state && isFutureState(dsrState)) unresolved[dsrState] = histories;
+        if (!state || recordDeepStateRedirectStatus(state.name) !== REDIRECT) return;
+        var cfg = getConfig(state);
+        angular.forEach(histories, function (history, key) {
+          history = [].concat(history || []).filter(function (redirect) {
+            return redirect && angular.isString(redirect.state) && ($state.get(redirect.state) || isFutureState(redirect.state));
+          });
+          var unregistered = history.some(function (redirect) { return !$state.get(redirect.state); });
+          if (unregistered) (unresolved[dsrState] = unresolved[dsrState] || {})[key] = history;
+          if (unregistered || partition.lastSubstate[state.name][key]) return;
+          history = history.filter(function (redirect) { return isValidSubstate(redirect, state, cfg, key); })
+            .map(function (redirect) { return { state: redirect.state, params: redirect.params || {} }; })
+            .slice(0, cfg.history || 1);
+          if (!history.length) return;
+          partition.lastSubstate[state.name][key] = history[0];
+          partition.substateHistory[state.name] = partition.substateHistory[state.name] || {};
+          partition.substateHistory[state.name][key] = history;
+        });
+      });
+    }
+
+    // Returns true if a state name matches a glob.  In a glob, "*" matches one segment of the state name, and "**"
+    // matches any number of segments.  A state name without wildcards is a glob which matches only itself.
+    function matchesGlob(name, glob) {
+      function match(names, globs) {
+        if (!globs.length) return !names.length;
+        if (globs[0] === "**") return match(names, globs.slice(1)) || (names.length > 0 && match(names.slice(1), globs));
+        return names.length > 0 && (globs[0] === "*" || globs[0] === names[0]) && match(names.slice(1), globs.slice(1));
       }
+      return match(name.split("."), glob.split("."));
+    }
+
+    // Returns true if a substate is excluded by the DSR state's exclude option: a state name, a glob (see
+    // matchesGlob()), a predicate function(state, params), or an array of those.
+    function isExcluded(state, params, cfg) {
+      return [].concat(cfg.exclude || []).some(function (exclude) {
+        return angular.isFunction(exclude) ? !!exclude(state, params) : matchesGlob(state.name, exclude);
+      });
     }
-    return deepStateRedirectsByName[state.name] || false;
-  }
 
-  function getMatchParams(params, dsrParams) {
-    if (dsrParams === true) dsrParams = Object.keys(params);
-    if (dsrParams === null || dsrParams === undefined) dsrParams = [];
+    // Returns the substate of a DSR state which should be remembered when a transition to toState succeeds: toState,
+    // or if toState is excluded, its closest ancestor which isn't excluded (or else the DSR state itself).
+    function getRememberedSubstate(toState, toParams, dsrState, cfg) {
+      var state = toState.$$state(), params = angular.copy(toParams);
+      if (!cfg.exclude) return { state: toState.name, params: params };
+      while (state.self.name !== dsrState && isExcluded(state.self, toParams, cfg))
+        state = state.parent;
+      if (state.self === toState) return { state: toState.name, params: params };
+      // Keep only the params of the remembered ancestor
+      var ancestorParams = {};
+      angular.forEach(getParamNames(state.self), function (name) { ancestorParams[name] = params[name]; });
+      return { state: state.self.name, params: ancestorParams };
+    }
 
-    var matchParams = {};
-    angular.forEach(dsrParams.sort(), function(name) { matchParams[name] = params[name]; });
-    return matchParams;
-  }
+    // Returns the remembered substates of a DSR state for a DSR key, most recent first.  A DSR state declared with
+    // deepStateRedirect: { history: n } remembers its last n (distinct) substates; other DSR states remember only the
+    // last substate.  The most recent substate is also lastSubstate[dsrState][key].
+    function getSubstateHistory(dsrState, key) {
+      var history = substateHistory[dsrState] && substateHistory[dsrState][key];
+      if (history) return history;
+      var last = lastSubstate[dsrState] && lastSubstate[dsrState][key];
+      return last ? [ last ] : [];
+    }
 
-  function getParamsString(params, dsrParams) {
-    var matchParams = getMatchParams(params, dsrParams);
-    function safeString(input) { return !input ? input : input.toString(); }
-    var paramsToString = {};
-    angular.forEach(matchParams, function(val, name) { paramsToString[name] = safeString(val); });
-    return angular.toJson(paramsToString);
-  }
+    function setSubstateHistory(dsrState, key, history) {
+      substateHistory[dsrState] = substateHistory[dsrState] || {};
+      substateHistory[dsrState][key] = history;
+      if (history.length) lastSubstate[dsrState][key] = history[0];
+      else delete lastSubstate[dsrState][key];
+    }
 
-  $rootScope.$on("$stateChangeStart", function (event, toState, toParams, fromState, fromParams) {
-    var cfg = getConfig(toState);
-    if (ignoreDsr || (computeDeepStateStatus(toState) !== REDIRECT) && !cfg['default']) return;
-    // We're changing directly to one of the redirect (tab) states.
-    // Get the DSR key for this state by calculating the DSRParams option
-    var key = getParamsString(toParams, cfg.params);
-    var redirect = lastSubstate[toState.name][key] || cfg['default'];
-    if (!redirect) return;
-
-    // we have a last substate recorded
-    var $dsr$ = { redirect: { state: redirect.state, params: redirect.params}, to: { state: toState.name, params: toParams } };
-    var result = $injector.invoke(cfg.fn, toState, { $dsr$: $dsr$ });
-    if (!result) return;
-    if (result.state) redirect = result;
-    event.preventDefault();
-    var redirectParams = getMatchParams(toParams, cfg.params);
-    $state.go(redirect.state, angular.extend(redirectParams, redirect.params));
-  });
-
-  $rootScope.$on("$stateChangeSuccess", function (event, toState, toParams, fromState, fromParams) {
-    var deepStateStatus = computeDeepStateStatus(toState);
-    if (deepStateStatus) {
-      var name = toState.name;
-      angular.forEach(lastSubstate, function (redirect, dsrState) {
-        // update Last-SubState&params for each DSR that this transition matches.
-        var cfg = getConfig($state.get(dsrState));
-        var key = getParamsString(toParams, cfg.params);
-        if (toState.$$state().includes[dsrState]) {
-          lastSubstate[dsrState][key] = { state: name, params: angular.copy(toParams) };
-        }
+    function rememberSubstate(dsrState, key, substate) {
+      var history = getSubstateHistory(dsrState, key).filter(function (remembered) {
+        return !angular.equals(remembered, substate);
       });
+      var size = getConfig($state.get(dsrState)).history || 1;
+      setSubstateHistory(dsrState, key, [ substate ].concat(history).slice(0, size));
     }
-  });
 
-  return {
-    getRedirect: function(dsrState, params) {
-      var state = $state.get(dsrState);
-      computeDeepStateStatus(state)
-      var cfg = getConfig(state);
-      var key = getParamsString(params, cfg.params);
-      var redirect = lastSubstate[state.name];
-      if (redirect && redirect[key]) {
-        redirect = redirect[key];
-      } else {
-        redirect = cfg['default'];
+    function popSubstate(dsrState, key) {
+      var history = getSubstateHistory(dsrState, key);
+      setSubstateHistory(dsrState, key, history.slice(1));
+      return history[0];
+    }
+
+    // Saves the substate histories of the active partition (dsrState -> key -> [ substates ], most recent first; see
+    // getSubstateHistory()), along with its unresolved persisted histories (see rehydrate()) which weren't superseded
+    // by newer substates.  The saved substates are tagged with the partition key.
+    function persist() {
+      if (!storage) return;
+      var persisted = {};
+      angular.forEach(partitions[partition].unresolved, function (histories, dsrState) {
+        persisted[dsrState] = angular.extend({}, histories);
+      });
+      angular.forEach(lastSubstate, function (redirects, dsrState) {
+        persisted[dsrState] = persisted[dsrState] || {};
+        angular.forEach(redirects, function (redirect, key) {
+          persisted[dsrState][key] = getSubstateHistory(dsrState, key);
+        });
+      });
+      storage.save({ partition: partition, substates: persisted }, partition);
+    }
+
+    // Makes lastSubstate and substateHistory refer to the remembered substates of the active partition (see
+    // $deepStateRedirectProvider.partitionKey()).  The persisted last substates of a partition are loaded when the
+    // partition is first used.  Its unresolved persisted entries are checked again each time it is used.
+    function toPartitionKey(key) {
+      return (key === undefined || key === null) ? "" : String(key);
+    }
+
+    function usePartition() {
+      var key = toPartitionKey(partitionKey && $injector.invoke(partitionKey));
+      if (!partitions[key]) {
+        var substates = {}, newPartition = partitions[key] = { lastSubstate: substates, substateHistory: {}, unresolved: {} };
+        angular.forEach(deepStateRedirectsByName, function (status, name) {
+          if (status === REDIRECT) substates[name] = {};
+        });
+        // The adapter may ignore the partition argument and load the substates which were saved for another partition
+        var load = function (persisted) {
+          rehydrate(persisted && toPartitionKey(persisted.partition) === key ? persisted.substates : {}, newPartition);
+        };
+        var persisted = storage && storage.load(key);
+        if (persisted && angular.isFunction(persisted.then)) persisted.then(load);
+        else load(persisted);
+      } else if (Object.keys(partitions[key].unresolved).length) {
+        rehydrate(partitions[key].unresolved, partitions[key]);
+      }
+      partition = key;
+      lastSubstate = partitions[key].lastSubstate;
+      substateHistory = partitions[key].substateHistory;
+    }
+
+    var storage = getStorage();
+    usePartition();
+
+    function isPromise(value) {
+      return !!value && angular.isFunction(value.then);
+    }
+
+    // Invokes fn with the value, or with the resolved value if the value is a promise.  If the promise is rejected,
+    // onRejected (if given) is invoked with the error.
+    function when(value, fn, onRejected) {
+      return isPromise(value) ? value.then(fn, onRejected) : fn(value);
+    }
+
+    // Decides where a transition to a DSR state should be redirected.  The last substate is checked using the DSR
+    // state's validate function, if any; a last substate which is not valid is forgotten, and the previous substate (if
+    // the DSR state has a history) or the default is considered instead.  Then the DSR function is invoked.
+    // Returns the decision, { redirect: { state, params }, remembered: true if the redirect is the last substate,
+    // usedDefault: true if the redirect is the default substate, $dsr$ }, or null if the transition shouldn't be
+    // redirected.  If the validate or DSR functions return promises, a promise
+    // for the decision is returned.
+    function decideRedirect(toState, toParams, cfg, key) {
+      var redirect = lastSubstate[toState.name][key] || cfg['default'];
+      if (!redirect) return null;
+      var remembered = lastSubstate[toState.name][key] === redirect;
+      var $dsr$ = { redirect: { state: redirect.state, params: redirect.params}, to: { state: toState.name, params: toParams } };
+
+      function decide(valid) {
+        if (!valid) {
+          popSubstate(toState.name, key);
+          persist();
+          return decideRedirect(toState, toParams, cfg, key);
+        }
+        return when($injector.invoke(cfg.fn, toState, { $dsr$: $dsr$ }), function (result) {
+          if (!result) return null;
+          var usedDefault = !remembered && !result.state;
+          return { redirect: result.state ? result : redirect, remembered: remembered, usedDefault: usedDefault, $dsr$: $dsr$ };
+        });
+      }
+
+      if (!remembered || !cfg.validate) return decide(true);
+      var valid = $injector.invoke(cfg.validate, toState, { $dsr$: $dsr$ });
+      return isPromise(valid) ? valid.then(decide, function () { return decide(false); }) : decide(valid);
+    }
+
+    $rootScope.$on("$stateChangeStart", function (event, toState, toParams, fromState, fromParams) {
+      var transitionId = ++stateChangeStarts, options = lastTransitionOptions;
+      usePartition();
+      var cfg = getConfig(toState);
+      if (ignoreDsr || (computeDeepStateStatus(toState) !== REDIRECT) && !cfg['default']) return;
+      // We're changing directly to one of the redirect (tab) states.
+      // Get the DSR key for this state by calculating the DSRParams option
+      var key = getParamsString(toParams, cfg.params);
+      var decision = decideRedirect(toState, toParams, cfg, key);
+      if (!decision) return;
+      event.preventDefault();
+
+      function redirectTo(decision) {
+        // Another transition was started while an asynchronous decision was pending; it supersedes this one
+        if (transitionId !== stateChangeStarts) return;
+        // An asynchronous decision not to redirect; continue the transition to the DSR state itself, with its options.
+        // The url was reverted when the transition was prevented, so it's updated even if the transition was started
+        // from the url (i.e., with location: false).
+        if (!decision) {
+          var continueOptions = { ignoreDsr: true, location: (options && options.location) || true };
+          return $state.transitionTo(toState.name, toParams, angular.extend({}, options, continueOptions));
+        }
+        var redirect = decision.redirect, redirectParams = getMatchParams(toParams, cfg.params);
+        // Tells the app that a transition is being redirected by DSR, and (when the redirect transition finishes) that
+        // it was redirected (or that the redirect transition failed, with the error)
+        var dsrEvent = {
+          to: { state: toState.name, params: toParams },
+          redirect: { state: redirect.state, params: angular.extend(redirectParams, redirect.params) },
+          $dsr$: decision.$dsr$,
+          usedDefault: decision.usedDefault
+        };
+        $rootScope.$broadcast("$deepStateRedirectStart", dsrEvent);
+        return $state.go(dsrEvent.redirect.state, dsrEvent.redirect.params).then(function () {
+          $rootScope.$broadcast("$deepStateRedirectEnd", dsrEvent);
+        }, function (err) {
+          $rootScope.$broadcast("$deepStateRedirectEnd", angular.extend({ error: err }, dsrEvent));
+          // When the redirect to the last substate fails (e.g., its resolve is rejected), a DSR state with a history
+          // forgets that substate, and redirects to the previous substate (or the default) instead.
+          var superseded = [ "transition superseded", "transition prevented", "transition aborted" ];
+          if (!decision.remembered || !cfg.history || (err && superseded.indexOf(err.message) !== -1)) return;
+          usePartition();
+          popSubstate(toState.name, key);
+          persist();
+          $state.go(toState.name, toParams);
+        });
+      }
+      // The asynchronous decision failed (e.g., the DSR function's promise was rejected); tell the app, and don't redirect
+      function decisionFailed(err) {
+        if (transitionId !== stateChangeStarts) return;
+        $rootScope.$broadcast("$deepStateRedirectEnd", { to: { state: toState.name, params: toParams }, error: err });
+        return redirectTo(null);
+      }
+      when(decision, redirectTo, decisionFailed);
+    });
+
+    $rootScope.$on("$stateChangeSuccess", function (event, toState, toParams, fromState, fromParams) {
+      usePartition();
+      var deepStateStatus = computeDeepStateStatus(toState);
+      if (deepStateStatus) {
+        angular.forEach(lastSubstate, function (redirect, dsrState) {
+          // update Last-SubState&params for each DSR that this transition matches.
+          var cfg = getConfig($state.get(dsrState));
+          if (toState.$$state().includes[dsrState]) {
+            var substate = getRememberedSubstate(toState, toParams, dsrState, cfg);
+            rememberSubstate(dsrState, getParamsString(substate.params, cfg.params), substate);
+          }
+        });
+        persist();
       }
-      return redirect;
-    },
-    reset: function(stateOrName, params) {
-      if (!stateOrName) {
-        angular.forEach(lastSubstate, function(redirect, dsrState) { lastSubstate[dsrState] = {}; });
-      } else {
-        var state = $state.get(stateOrName);
-        if (!state) throw new Error("Unknown state: " + stateOrName);
-        if (lastSubstate[state.name]) {
-          if (params) {
-            var key = getParamsString(params, getConfig(state).params);
-            delete lastSubstate[state.name][key];
-          } else {
-            lastSubstate[state.name] = {};
+    });
+
+    return {
+      getRedirect: function(dsrState, params) {
+        usePartition();
+        var state = $state.get(dsrState);
+        computeDeepStateStatus(state)
+        var cfg = getConfig(state);
+        var key = getParamsString(params, cfg.params);
+        var redirect = lastSubstate[state.name];
+        if (redirect && redirect[key]) {
+          redirect = redirect[key];
+        } else {
+          redirect = cfg['default'];
+        }
+        return redirect;
+      },
+      // Returns the remembered substates ({ state: stateName, params: params }) of a DSR state for the DSR params,
+      // most recent first.  See the deepStateRedirect: { history: n } option.
+      getHistory: function(dsrState, params) {
+        var state = $state.get(dsrState);
+        if (!state) throw new Error("Unknown state: " + dsrState);
+        usePartition();
+        computeDeepStateStatus(state);
+        var key = getParamsString(params || {}, getConfig(state).params);
+        return getSubstateHistory(state.name, key).slice();
+      },
+      // Forgets the most recently remembered substate of a DSR state for the DSR params, so the DSR state redirects to
+      // the previously remembered substate (or the default).  Returns the forgotten substate.
+      popHistory: function(dsrState, params) {
+        var state = $state.get(dsrState);
+        if (!state) throw new Error("Unknown state: " + dsrState);
+        usePartition();
+        if (!lastSubstate[state.name]) return undefined;
+        var substate = popSubstate(state.name, getParamsString(params || {}, getConfig(state).params));
+        persist();
+        return substate;
+      },
+      // Forgets the last substates (of the active partition) of a DSR state, or of all DSR states if no state is given.
+      reset: function(stateOrName, params) {
+        usePartition();
+        if (!stateOrName) {
+          angular.forEach(lastSubstate, function(redirect, dsrState) { lastSubstate[dsrState] = {}; });
+          substateHistory = partitions[partition].substateHistory = {};
+          partitions[partition].unresolved = {};
+        } else {
+          var state = $state.get(stateOrName);
+          if (!state) throw new Error("Unknown state: " + stateOrName);
+          var unresolved = partitions[partition].unresolved;
+          if (lastSubstate[state.name]) {
+            if (params) {
+              var key = getParamsString(params, getConfig(state).params);
+              delete lastSubstate[state.name][key];
+              if (substateHistory[state.name]) delete substateHistory[state.name][key];
+              if (unresolved[state.name]) delete unresolved[state.name][key];
+            } else {
+              lastSubstate[state.name] = {};
+              delete substateHistory[state.name];
+              delete unresolved[state.name];
+            }
           }
         }
+        persist();
+      },
+      // Returns the key of the active partition (see $deepStateRedirectProvider.partitionKey())
+      getPartition: function() {
+        usePartition();
+        return partition;
+      },
+      // Forgets all the last substates remembered in a partition, including the persisted ones.  Other partitions are
+      // unaffected.  When the active partition is cleared, it starts over empty.
+      clearPartition: function(key) {
+        key = toPartitionKey(key);
+        delete partitions[key];
+        if (storage) storage.save({ partition: key, substates: {} }, key);
+        if (key === partition) usePartition();
+      }
+    };
+  }];
+}
+
+angular.module('ct.ui.router.extras.dsr').provider("$deepStateRedirect", $DeepStateRedirectProvider);
+
+// Parses a state reference like ui-sref's, "stateName" or "stateName({ param: value })", into the state name and
+// the params expression
+function parseDsrStateRef(ref) {
+  var parsed = ref.replace(/\n/g, " ").match(/^([^(]+?)\s*(\((.*)\))?$/);
+  if (!parsed || parsed.length !== 4) throw new Error("Invalid state ref '" + ref + "'");
+  return { state: parsed[1], paramExpr: parsed[3] || null };
+}
+
+function setDsrHref($element, href) {
+  if (href) $element.attr("href", href);
+  else $element.removeAttr("href");
+}
+
+// Links to a state like ui-sref does, but the transition ignores deep state redirect (see the ignoreDsr option).
+//   <a dsr-sref="tabs.tabs2({ id: tab.id })">Tab 2 overview</a>
+angular.module('ct.ui.router.extras.dsr').directive("dsrSref", [ '$state', function ($state) {
+  return {
+    restrict: 'A',
+    link: function (scope, $element, attrs) {
+      var ref = parseDsrStateRef(attrs.dsrSref), params = {};
+
+      function update(newParams) {
+        params = angular.copy(newParams || {});
+        setDsrHref($element, $state.get(ref.state) && $state.href(ref.state, params));
       }
+
+      if (ref.paramExpr) scope.$watch(ref.paramExpr, update, true);
+      else update();
+
+      $element.bind("click", function (e) {
+        var button = e.which || e.button;
+        if (button > 1 || e.ctrlKey || e.metaKey || e.shiftKey || $element.attr('target')) return;
+        e.preventDefault();
+        scope.$evalAsync(function () {
+          $state.go(ref.state, params, { ignoreDsr: true });
+        });
+      });
     }
   };
 }]);
 
+// Renders an href pointing at the substate that a state reference would be deep state redirected to (see
+// $deepStateRedirect.getRedirect()), so the deep state can be opened in a new tab or window.  If the state has no
+// remembered substate (or default), the href points at the state itself.
+//   <a dsr-href="tabs.tabs2({ id: tab.id })">Tab 2</a>
+angular.module('ct.ui.router.extras.dsr').directive("dsrHref", [ '$state', '$deepStateRedirect',
+  function ($state, $deepStateRedirect) {
+    return {
+      restrict: 'A',
+      link: function (scope, $element, attrs) {
+        var ref = parseDsrStateRef(attrs.dsrHref);
+
+        function getHref() {
+          var params = (ref.paramExpr && scope.$eval(ref.paramExpr)) || {};
+          if (!$state.get(ref.state)) return null;
+          var redirect = $deepStateRedirect.getRedirect(ref.state, params);
+          if (!redirect || !redirect.state) return $state.href(ref.state, params);
+          return $state.href(redirect.state, angular.extend({}, params, redirect.params));
+        }
+
+        scope.$watch(getHref, function (href) {
+          setDsrHref($element, href);
+        });
+      }
+    };
+  }
+]);
+
 angular.module('ct.ui.router.extras.dsr').run(['$deepStateRedirect', function ($deepStateRedirect) {
   // Make sure $deepStateRedirect is instantiated
 }]);
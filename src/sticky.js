@@ -61,6 +61,7 @@ var internalStates = {}; // Map { statename -> InternalStateObj } holds internal
 var root, // Root state, internal representation
   pendingTransitions = [], // One transition may supersede another.  This holds references to all pending transitions
   pendingRestore, // The restore function from the superseded transition
+  transitionCount = 0, // Number of calls to the decorated transitionTo; used to detect superseded transitions
   inactivePseudoState, // This pseudo state holds all the inactive states' locals (resolved state data, such as views etc)
   reactivatingLocals = { }, // This is a prent locals to the inactivePseudoState locals, used to hold locals for states being reactivated
   versionHeuristics = { // Heuristics used to guess the current UI-Router Version
@@ -97,6 +98,7 @@ angular.module("ct.ui.router.extras.sticky").config(
       var inheritParams = core.inheritParams;
       var forEach = core.forEach;
       var map = core.map;
+      var filter = core.filter;
       var filterObj = core.filterObj;
 
       versionHeuristics.hasParamSet = !!$urlMatcherFactoryProvider.ParamSet;
@@ -105,17 +107,18 @@ angular.module("ct.ui.router.extras.sticky").config(
       // Reset other module scoped variables.  This is to primarily to flush any previous state during karma runs.
       root = pendingRestore = undefined;
       pendingTransitions = [];
+      transitionCount = 0;
 
       uirextras_coreProvider.onStateRegistered(function(state) {
         // Register the ones marked as "sticky"
-        if (state.self.sticky === true) {
+        if (state.self.sticky) {
           $stickyStateProvider.registerStickyState(state.self);
         }
       });
 
       var $state_transitionTo; // internal reference to the real $state.transitionTo function
       // Decorate the $state service, so we can decorate the $state.transitionTo() function with sticky state stuff.
-      $provide.decorator("$state", ['$delegate', '$log', '$q', function ($state, $log, $q) {
+      $provide.decorator("$state", ['$delegate', '$log', '$q', '$urlRouter', '$location', function ($state, $log, $q, $urlRouter, $location) {
         // Note: this code gets run only on the first state that is decorated
         root = $state.$current;
         internalStates[""] = root;
@@ -140,6 +143,11 @@ angular.module("ct.ui.router.extras.sticky").config(
           if (!inactivePseudoState.locals)
             inactivePseudoState.locals = root.locals;
           var idx = pendingTransitions.length;
+          var transitionId = ++transitionCount;
+          // Any other transition supersedes a visit in the background (see $stickyState.activateInBackground())
+          if (!(options && options.$$stickyBackground)) _StickyState.backgroundVisitSuperseded();
+          // The transition is retried with the caller's own params and options, once onBeforeInactivate promises settle
+          var callerToParams = angular.extend({}, toParams), callerOptions = angular.extend({}, options);
           if (pendingRestore) {
             pendingRestore();
             if (DEBUG) {
@@ -205,7 +213,7 @@ angular.module("ct.ui.router.extras.sticky").config(
             return surrogate;
           }
 
-          function stateReactivatedSurrogatePhase2(state) {
+          function stateReactivatedSurrogatePhase2(state, inactiveState) {
             var surrogate = angular.extend(new SurrogateState("reactivate_phase2"), state);
             var oldOnEnter = surrogate.self.onEnter;
             surrogate.resolve = {}; // Don't re-resolve when reactivating states (fixes issue #22)
@@ -213,9 +221,9 @@ angular.module("ct.ui.router.extras.sticky").config(
             surrogate.views = {}; // Don't re-activate controllers when reactivating states (fixes issue #22)
             surrogate.self.onEnter = function () {
               // ui-router sets locals on the surrogate to a blank locals (because we gave it nothing to resolve)
-              // Re-set it back to the already loaded state.locals here.
-              surrogate.locals = state.locals;
-              _StickyState.stateReactivated(state);
+              // Re-set it back to the already loaded locals of the inactive state (instance) here.
+              surrogate.locals = inactiveState.locals;
+              _StickyState.stateReactivated(inactiveState);
             };
             restore.addRestoreFunction(function () {
               state.self.onEnter = oldOnEnter;
@@ -335,7 +343,30 @@ angular.module("ct.ui.router.extras.sticky").config(
               // 4) which states will be inactive if the transition succeeds.
               stickyTransitions = _StickyState.processTransition(currentTransition);
 
-              if (DEBUG) debugTransition($log, currentTransition, stickyTransitions);
+              // Let the states which are about to be inactivated veto their inactivation (onBeforeInactivate).  When the
+              // hooks return promises, the transition is retried with their verdict once the promises are settled.
+              var verdict = options && options.$$stickyVerdict || _StickyState.beforeInactivate(stickyTransitions, fromState.path);
+              if (verdict && angular.isFunction(verdict.then)) {
+                restore();
+                return verdict.then(function (verdict) {
+                  // Another transition was started while the hooks were pending; it supersedes this one
+                  if (transitionId !== transitionCount) {
+                    if (DEBUG) $log.debug("Transition superseded while onBeforeInactivate was pending");
+                    return $q.reject(new Error("transition superseded"));
+                  }
+                  return $state.transitionTo(to, callerToParams, angular.extend({}, callerOptions, { $$stickyVerdict: verdict }));
+                });
+              }
+              if (verdict && verdict.cancel) {
+                if (DEBUG) $log.debug("Transition cancelled by onBeforeInactivate");
+                restore();
+                syncUrl();
+                return $q.reject(new Error("transition prevented"));
+              }
+              if (verdict && verdict.exit.length) {
+                currentTransition.vetoedInactivations = verdict.exit;
+                stickyTransitions = _StickyState.processTransition(currentTransition);
+              }
 
               // Begin processing of surrogate to and from paths.
               var surrogateToPath = toState.path.slice(0, stickyTransitions.keep);
@@ -356,7 +387,8 @@ angular.module("ct.ui.router.extras.sticky").config(
 
               // For each state that will be inactive when the transition is complete, place its view-locals on the
               // __inactives pseudostate's .locals.  This allows the ui-view directive to access them and
-              // render the inactive views.
+              // render the inactive views.  When a state has several inactive instances (see sticky: { params: [] }),
+              // a plain view name renders only one of them, but each instance also has instance-scoped view names.
               forEach(stickyTransitions.inactives, function(state) {
                 forEach(state.locals, saveViewsToLocals(inactivePseudoState.locals))
               });
@@ -392,13 +424,17 @@ angular.module("ct.ui.router.extras.sticky").config(
                   // Reactivated states require TWO surrogates.  The "phase 1 reactivated surrogates" are added to both
                   // to.path and from.path, and as such, are considered to be "kept" by UI-Router.
                   // This is required to get UI-Router to add the surrogate locals to the protoypal locals object
-                  surrogate = stateReactivatedSurrogatePhase1(enteringState);
+                  // The inactive state may be one instance of a state keyed by sticky params; reactivate that instance.
+                  var inactiveState = filter(stickyTransitions.reactivatingStates, function (state) {
+                    return state.self === enteringState.self;
+                  })[0];
+                  surrogate = stateReactivatedSurrogatePhase1(inactiveState);
                   surrogateToPath.push(surrogate);
                   surrogateFromPath.push(surrogate);  // so toPath[i] === fromPath[i]
 
                   // The "phase 2 reactivated surrogate" is added to the END of the .path, after all the phase 1
                   // surrogates have been added.
-                  reactivated.push(stateReactivatedSurrogatePhase2(enteringState));
+                  reactivated.push(stateReactivatedSurrogatePhase2(enteringState, inactiveState));
                   terminalReactivatedState = enteringState;
                 } else if (value === "reload") {
                   // If the state params have been changed, we need to exit any inactive states and re-enter them.
@@ -440,15 +476,22 @@ angular.module("ct.ui.router.extras.sticky").config(
               }));
               exited = exited.concat(orphans);
 
+              // When transitioning from one instance of a param-keyed sticky state to another instance of it, fromState
+              // and toState are the same object, which can't hold both surrogate paths.  UI-Router reads the from
+              // state from $state.$current, so hand it a stand-in for the fromState until the transition is done.
+              if (fromState === toState && stickyTransitions.exit.indexOf("inactivate") !== -1) {
+                var fromStateStandIn = fromState = inherit(toState, {});
+                $state.$current = fromStateStandIn;
+                restore.addRestoreFunction(function () {
+                  if ($state.$current === fromStateStandIn) $state.$current = toState;
+                });
+              }
+
+              _StickyState.trace(currentTransition, stickyTransitions, surrogateFromPath, surrogateToPath);
+
               // Replace the .path variables.  toState.path and fromState.path are now ready for a sticky transition.
               fromState.path = surrogateFromPath;
               toState.path = surrogateToPath;
-
-              var pathMessage = function (state) {
-                return (state.surrogateType ? state.surrogateType + ":" : "") + state.self.name;
-              };
-              if (DEBUG) $log.debug("SurrogateFromPath: ", map(surrogateFromPath, pathMessage));
-              if (DEBUG) $log.debug("SurrogateToPath:   ", map(surrogateToPath, pathMessage));
             }
           }
 
@@ -459,6 +502,7 @@ angular.module("ct.ui.router.extras.sticky").config(
           return transitionPromise.then(function transitionSuccess(state) {
             // First, restore toState and fromState to their original values.
             restore();
+            _StickyState.transitionComplete();
             if (DEBUG)  debugViewsAfterSuccess($log, internalStates[state.name], $state);
 
             state.status = 'active';  // TODO: This status is used in statevis.js, and almost certainly belongs elsewhere.
@@ -466,6 +510,7 @@ angular.module("ct.ui.router.extras.sticky").config(
             return state;
           }, function transitionFailed(err) {
             restore();
+            _StickyState.transitionFailed(err);
             if (DEBUG &&
               err.message !== "transition prevented" &&
               err.message !== "transition aborted" &&
@@ -476,41 +521,25 @@ angular.module("ct.ui.router.extras.sticky").config(
             return $q.reject(err);
           });
         };
-        return $state;
-      }]);
-
 
-
-      function debugTransition($log, currentTransition, stickyTransition) {
-        function message(path, index, state) {
-          return (path[index] ? path[index].toUpperCase() + ": " + state.self.name : "(" + state.self.name + ")");
+        // Reverts the url to the active state's url after a cancelled transition (e.g., one started from the url), as
+        // UI-Router does when a transition is prevented.  $urlRouter.update() was added in UI-Router 0.2.12.
+        function syncUrl() {
+          if (angular.isFunction($urlRouter.update)) {
+            $urlRouter.update();
+            return;
+          }
+          var navigable = $state.$current.navigable, url = navigable && navigable.url && navigable.url.format($state.params);
+          if (url && $location.url() !== url) {
+            $location.url(url);
+            $location.replace();
+          }
         }
 
-        var inactiveLogVar = map(stickyTransition.inactives, function (state) {
-          return state.self.name;
-        });
-        var enterLogVar = map(currentTransition.toState.path, function (state, index) {
-          return message(stickyTransition.enter, index, state);
-        });
-        var exitLogVar = map(currentTransition.fromState.path, function (state, index) {
-          return message(stickyTransition.exit, index, state);
-        });
+        return $state;
+      }]);
 
-        var transitionMessage = currentTransition.fromState.self.name + ": " +
-          angular.toJson(currentTransition.fromParams) + ": " +
-          " -> " +
-          currentTransition.toState.self.name + ": " +
-          angular.toJson(currentTransition.toParams);
 
-        $log.debug("------------------------------------------------------");
-        $log.debug("   Current transition: ", transitionMessage);
-        $log.debug("Before transition, inactives are:   : ", map(_StickyState.getInactiveStates(), function (s) {
-          return s.self.name;
-        }));
-        $log.debug("After transition,  inactives will be: ", inactiveLogVar);
-        $log.debug("Transition will exit:  ", exitLogVar);
-        $log.debug("Transition will enter: ", enterLogVar);
-      }
 
       function debugViewsAfterSuccess($log, currentState, $state) {
         $log.debug("Current state: " + currentState.self.name + ", inactive states: ", map(_StickyState.getInactiveStates(), function (s) {
@@ -551,3 +580,49 @@ angular.module("ct.ui.router.extras.sticky").config(
     }
   ]
 );
+
+// Registers the content of each rendered ui-view with $stickyState, so the content of inactive sticky states' views can
+// be detached from the document (see $stickyStateProvider.detachInactiveViews()).  The priority places this link
+// function after ui-router's own ui-view "fill" directive (priority -400), which renders the view's content.
+angular.module("ct.ui.router.extras.sticky").directive("uiView", [ '$state', '$stickyState',
+  function ($state, $stickyState) {
+    return {
+      restrict: 'ECA',
+      priority: -300,
+      link: function (scope, $element) {
+        var view = $element.data('$uiView');
+        var locals = view && $state.$current.locals[view.name];
+        if (locals) $stickyState.registerView(locals, $element, scope);
+      }
+    };
+  }
+]);
+
+// Shows the element while the state named by the sticky-view attribute is active, and hides it (using the ng-hide
+// class, like ng-show) while the state is inactive or exited.  The element also gets a sticky-view-active,
+// sticky-view-inactive or sticky-view-exited class, so switching between sticky states can be animated.
+//   <div ui-view="_1" sticky-view="A._1"></div>
+// With UI-Router 0.2.8, place sticky-view on an element wrapping the ui-view instead.
+angular.module("ct.ui.router.extras.sticky").directive("stickyView", [ '$state', '$animate',
+  function ($state, $animate) {
+    var statuses = [ 'active', 'inactive', 'exited' ];
+    return {
+      restrict: 'A',
+      link: function (scope, $element, attrs) {
+        function getStatus() {
+          var state = attrs.stickyView && $state.get(attrs.stickyView);
+          if (!state) return 'exited';
+          if ($state.includes(state.name)) return 'active';
+          return state.status === 'inactive' ? 'inactive' : 'exited';
+        }
+
+        scope.$watch(getStatus, function (status) {
+          angular.forEach(statuses, function (other) {
+            $animate[other === status ? 'addClass' : 'removeClass']($element, 'sticky-view-' + other);
+          });
+          $animate[status === 'active' ? 'removeClass' : 'addClass']($element, 'ng-hide');
+        });
+      }
+    };
+  }
+]);
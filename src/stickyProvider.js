@@ -10,12 +10,30 @@ function $StickyStateProvider($stateProvider, uirextras_coreProvider) {
   var protoKeys = core.protoKeys;
   var forEach = core.forEach;
   var map = core.map;
+  var filter = core.filter;
+  var inherit = core.inherit;
 
   // Holds all the states which are inactivated.  Inactivated states can be either sticky states, or descendants of sticky states.
-  var inactiveStates = {}; // state.name -> (state)
+  // States which are (or are descendants of) a sticky state declared as sticky: { params: [ 'id' ] } may have multiple
+  // inactive instances; one for each distinct set of values of those params.  See instanceKey().
+  // The views of each instance are also available under instance-scoped view names (see instanceViewName()), e.g.,
+  // <div ui-view="customer:1"></div> renders the "customer" view of the instance { id: 1 }.  Each instance keeps its
+  // own DOM in those ui-views while it's inactive.  The plain view names render only the active (or last) instance.
+  var inactiveStates = {}; // instanceKey(state) -> (state)
   var stickyStates = {}; // state.name -> true
+  var inactiveOrder = []; // instanceKey(state) of each inactive sticky state, least recently inactivated first
   var $state;
   var DEBUG = false;
+  var maxInactive; // undefined means no limit
+  var inactiveTtl; // undefined means inactive states never expire
+  var snapshotStorage; // undefined means snapshots of the inactive states aren't persisted
+  var detachInactiveViews = false;
+  // Detaching relies on jqLite's detach() and on AngularJS' private scope sibling links, so it's only done on AngularJS 1.3+
+  var canDetachViews = angular.version.major > 1 || angular.version.minor >= 3;
+  var traceSize = 0; // number of sticky transition traces kept for $stickyState.getTrace()
+  var traceSinks = []; // functions called with each sticky transition trace
+  var logTrace; // logs a sticky transition trace using $log.debug; set by $get
+  var removeDebugSink; // removes the trace sink which logs the traces, registered while debug is enabled
 
   // Called by $stateProvider.registerState();
   // registers a sticky state with $stickyStateProvider
@@ -24,14 +42,98 @@ function $StickyStateProvider($stateProvider, uirextras_coreProvider) {
     // console.log("Registered sticky state: ", state);
   };
 
+  // Enabling debug also registers a trace sink which logs each sticky transition trace using $log.debug
   this.enableDebug = this.debugMode = function (enabled) {
-    if (angular.isDefined(enabled))
+    if (angular.isDefined(enabled)) {
       DEBUG = enabled;
+      if (DEBUG && !removeDebugSink) {
+        removeDebugSink = addTraceSink(function (trace) { logTrace(trace); });
+      } else if (!DEBUG && removeDebugSink) {
+        removeDebugSink();
+        removeDebugSink = undefined;
+      }
+    }
     return DEBUG;
   };
 
-  this.$get = [  '$rootScope', '$state', '$stateParams', '$injector', '$log',
-    function ($rootScope, $state, $stateParams, $injector, $log) {
+  // Gets or sets the number of sticky transition traces which are kept for $stickyState.getTrace().  The oldest traces
+  // are discarded when the limit is reached.  Defaults to 0, which disables the trace buffer.
+  this.traceSize = function (size) {
+    if (angular.isDefined(size))
+      traceSize = size;
+    return traceSize;
+  };
+
+  // Adds a trace sink: a function which is called with each sticky transition trace (see $stickyState.getTrace()).
+  // Returns a function which removes the sink.
+  this.addTraceSink = addTraceSink;
+  function addTraceSink(sink) {
+    traceSinks.push(sink);
+    return function () {
+      var idx = traceSinks.indexOf(sink);
+      if (idx !== -1) traceSinks.splice(idx, 1);
+    };
+  }
+
+  // Gets or sets the maximum number of inactive sticky state trees.  When the limit is exceeded, the least recently
+  // inactivated trees are exited.  A sticky state may override this using its "stickyMaxInactive" property.
+  this.maxInactiveStates = function (max) {
+    if (angular.isDefined(max))
+      maxInactive = max;
+    return maxInactive;
+  };
+
+  // Gets or sets the time (in milliseconds) that a sticky state tree may remain inactive before it is exited.
+  // A sticky state may override this using its "stickyTtl" property.
+  this.inactiveTtl = function (ttl) {
+    if (angular.isDefined(ttl))
+      inactiveTtl = ttl;
+    return inactiveTtl;
+  };
+
+  // Gets or sets whether the ui-view content of inactive sticky states is detached from the document (and its scope
+  // suspended from $digest) until the state is reactivated.  A sticky state may override this using its "stickyDetach" property.
+  // Requires ui-router 0.2.10 and AngularJS 1.3 or later; otherwise the content stays attached.
+  this.detachInactiveViews = function (detach) {
+    if (angular.isDefined(detach))
+      detachInactiveViews = detach;
+    return detachInactiveViews;
+  };
+
+  // Gets or sets the storage adapter which persists a snapshot of the inactive states whenever they change, so they can
+  // be re-created after a page reload using $stickyState.restore().  The adapter is either "localStorage",
+  // "sessionStorage", or an object with a load() function (which returns the snapshot, or a promise for it) and
+  // a save(snapshot) function.
+  this.snapshotStorage = function (storage) {
+    if (angular.isDefined(storage))
+      snapshotStorage = storage;
+    return snapshotStorage;
+  };
+
+  this.$get = [  '$rootScope', '$state', '$stateParams', '$injector', '$log', '$timeout', '$q', '$window', '$document',
+    function ($rootScope, $state, $stateParams, $injector, $log, $timeout, $q, $window, $document) {
+      var inactivatedAt = {}; // instanceKey(state) -> time the state was inactivated
+      var expiryTimers = {}; // instanceKey(state) -> id of the timer which exits the inactive sticky state when its TTL elapses
+      var visitingInBackground = false; // true while states are being entered in the background, see visitInBackground()
+      var backgroundOrigin = []; // instanceKey(state) of each state of the active state's path, while visiting in the background
+      var backgroundVisit = null; // token of the visit in the background in progress; cleared when another transition starts
+      var renderedViews = []; // { locals: view locals, element: ui-view element, scope: view scope } of each rendered ui-view
+      var savedViewStates = {}; // instanceKey(state) -> scroll offsets and focused element, saved when the state was inactivated
+      var reactivations = {}; // instanceKey(state) -> number of times the state was reactivated since it was entered
+      var traceBuffer = []; // the most recent sticky transition traces, oldest first
+      var initialTransition = $q.defer(); // settled when the first transition succeeds or fails, see transitionComplete()
+
+      // Returns the storage adapter configured using $stickyStateProvider.snapshotStorage(), wrapping the
+      // built in "localStorage" and "sessionStorage" adapters.
+      function getSnapshotStorage() {
+        if (!angular.isString(snapshotStorage)) return snapshotStorage;
+        var webStorage = $window[snapshotStorage], key = "ct.ui.router.extras.sticky.snapshot";
+        return {
+          load: function () { return angular.fromJson(webStorage.getItem(key)); },
+          save: function (snapshot) { webStorage.setItem(key, angular.toJson(snapshot)); }
+        };
+      }
+
       // Each inactive states is either a sticky state, or a child of a sticky state.
       // This function finds the closest ancestor sticky state, then find that state's parent.
       // Map all inactive states to their closest parent-to-sticky state.
@@ -78,6 +180,129 @@ function $StickyStateProvider($stateProvider, uirextras_coreProvider) {
         return stack;
       }
 
+      // Returns the names of the params which distinguish the inactive instances of a state.  These are the params
+      // listed in the sticky: { params: [] } declarations of the state and its ancestors.
+      function getInstanceParams(state) {
+        var names = [];
+        for (; state; state = state.parent) {
+          var sticky = state.self.sticky;
+          if (sticky && angular.isArray(sticky.params)) names = sticky.params.concat(names);
+        }
+        return names;
+      }
+
+      // Serializes the values of the named params.  Values are compared as strings, because they aren't necessarily normalized
+      function paramValuesKey(names, params) {
+        var values = {};
+        forEach(names, function (name) {
+          var value = params[name];
+          values[name] = (value === null || value === undefined || angular.isObject(value)) ? value : value.toString();
+        });
+        return angular.toJson(values);
+      }
+
+      // Returns the instance-scoped name of a view of a state instance: the view name followed by the values of the
+      // instance params (see getInstanceParams), each prefixed with ":".  For example, the instance-scoped name of the
+      // "customer@main" view of the instance { id: 1 } of a state declared as sticky: { params: ['id'] } is
+      // "customer:1@main", which is rendered by <div ui-view="customer:1"></div> in the main state's template.
+      function instanceViewName(viewName, names, params) {
+        var at = viewName.indexOf("@");
+        var values = names.map(function (name) { return ":" + params[name]; }).join("");
+        return viewName.substr(0, at) + values + viewName.substr(at);
+      }
+
+      // Makes the views of a state instance also available under their instance-scoped names (see instanceViewName)
+      function addInstanceViews(state) {
+        var names = getInstanceParams(state), locals = state.locals;
+        if (!names.length || !locals) return;
+        forEach(filter(objectKeys(locals), function (name) { return name.indexOf("@") !== -1; }), function (name) {
+          locals[instanceViewName(name, names, locals.globals.$stateParams)] = locals[name];
+        });
+      }
+
+      // Returns the key of a state (instance) in the inactive sticky state registry.  Unless the state has instance
+      // params (see getInstanceParams), this is just the state name.  params defaults to the state's own $stateParams.
+      function instanceKey(state, params) {
+        var names = getInstanceParams(state);
+        if (!names.length) return state.self.name;
+        return state.self.name + paramValuesKey(names, params || state.locals.globals.$stateParams);
+      }
+
+      // Returns a predicate which tests if an inactive state belongs to the same instance of a param-keyed sticky state
+      // tree as the given state and params.  For states without instance params, the predicate is always true.
+      function sameInstanceAs(state, params) {
+        var names = getInstanceParams(state);
+        var key = paramValuesKey(names, params);
+        return function (inactive) {
+          return paramValuesKey(names, inactive.locals.globals.$stateParams) === key;
+        };
+      }
+
+      // Returns true if a transition should inactivate (rather than exit) the sticky state.  The state's sticky
+      // declaration may be an injectable function, which decides each time the state is exited.  It is invoked with
+      // the state's resolves and $fromState, $fromParams, $toState, $toParams.
+      function isStickyFor(state, transition) {
+        var sticky = state.self.sticky;
+        if (!angular.isFunction(sticky) && !angular.isArray(sticky)) return !!sticky;
+        var locals = angular.extend({}, state.locals.globals, {
+          $fromState: transition.fromState.self, $fromParams: transition.fromParams,
+          $toState: transition.toState.self, $toParams: transition.toParams
+        });
+        return !!$injector.invoke(sticky, state.self, locals);
+      }
+
+      // Returns the sticky group of a state declared as sticky: { group: 'name' }.  Groups are scoped to the parent
+      // state, so groups of the same name under different parents are independent.
+      function stickyGroup(state) {
+        var sticky = state.self.sticky;
+        return (sticky && sticky.group) ? state.parent.name + ":" + sticky.group : undefined;
+      }
+
+      // Finds the members of each sticky group which exceed the group's maxInactive.  inactives are the states which
+      // remain inactive after a transition, and inactivating are the states the transition inactivates (the most recent).
+      // Returns { inactive: [ inactive members to exit ], inactivating: [ members to exit instead of inactivate ] }
+      function groupOverflow(inactives, inactivating) {
+        var groups = {}, limits = {}, overflow = { inactive: [], inactivating: [] };
+        function recency(state) { return inactiveOrder.indexOf(instanceKey(state)); }
+        var members = inactives.slice().sort(function (a, b) { return recency(a) - recency(b); }).concat(inactivating);
+        forEach(members, function (state) {
+          var group = stickyGroup(state), max = group && state.self.sticky.maxInactive;
+          if (!group) return;
+          groups[group] = groups[group] || [];
+          groups[group].push(state);
+          if (angular.isNumber(max) && (limits[group] === undefined || max < limits[group])) limits[group] = max;
+        });
+        forEach(groups, function (members, group) {
+          if (!angular.isDefined(limits[group])) return;
+          forEach(members.slice(0, Math.max(0, members.length - limits[group])), function (state) {
+            overflow[inactivating.indexOf(state) === -1 ? "inactive" : "inactivating"].push(state);
+          });
+        });
+        return overflow;
+      }
+
+      // Finds the least recently inactivated sticky state trees which exceed the maximum number of inactive trees (see
+      // $stickyStateProvider.maxInactiveStates()).  Only the topmost inactive sticky state of each tree is counted.
+      // inactives and inactivating are as for groupOverflow().
+      // Returns { inactive: [ inactive tree roots to exit ], inactivating: [ tree roots to exit instead of inactivate ] }
+      function inactiveTreeOverflow(inactives, inactivating) {
+        var overflow = { inactive: [], inactivating: [] };
+        var keys = map(inactives.concat(inactivating), function (state) { return instanceKey(state); });
+        function isTreeRoot(state) {
+          return !state.parent || keys.indexOf(instanceKey(state.parent, state.locals.globals.$stateParams)) === -1;
+        }
+        function recency(state) { return inactiveOrder.indexOf(instanceKey(state)); }
+        var roots = filter(inactives, isTreeRoot).sort(function (a, b) { return recency(a) - recency(b); })
+            .concat(filter(inactivating, isTreeRoot));
+        // Walk the trees from most recently inactivated to least recently inactivated
+        forEach(roots.reverse(), function (state, newerCount) {
+          var max = angular.isDefined(state.self.stickyMaxInactive) ? state.self.stickyMaxInactive : maxInactive;
+          if (!angular.isDefined(max) || newerCount < max) return;
+          overflow[inactivating.indexOf(state) === -1 ? "inactive" : "inactivating"].push(state);
+        });
+        return overflow;
+      }
+
       // Returns a sticky transition type necessary to enter the state.
       // Transition can be: reactivate, reload, or enter
 
@@ -87,7 +312,7 @@ function $StickyStateProvider($stateProvider, uirextras_coreProvider) {
       // all descendant states must also be exit/entered, thus the first line of this function.
       function getEnterTransition(state, stateParams, reloadStateTree, ancestorReloaded) {
         if (ancestorReloaded) return "reload";
-        var inactiveState = inactiveStates[state.self.name];
+        var inactiveState = inactiveStates[instanceKey(state, stateParams)];
         if (!inactiveState) return "enter";
         if (state.self === reloadStateTree) return "reload";
         var paramsMatch = paramsEqualForState(state.ownParams, stateParams, inactiveState.locals.globals.$stateParams);
@@ -95,8 +320,9 @@ function $StickyStateProvider($stateProvider, uirextras_coreProvider) {
       }
 
       // Given a state and (optional) stateParams, returns the inactivated state from the inactive sticky state registry.
+      // stateParams is required to find an instance of a state which has instance params.
       function getInactivatedState(state, stateParams) {
-        var inactiveState = inactiveStates[state.name];
+        var inactiveState = inactiveStates[instanceKey(state, stateParams)];
         if (!inactiveState) return null;
         if (!stateParams) return inactiveState;
         var paramsMatch = paramsEqualForState(state.ownParams, stateParams, inactiveState.locals.globals.$stateParams);
@@ -150,6 +376,317 @@ function $StickyStateProvider($stateProvider, uirextras_coreProvider) {
         };
       }
 
+      // Removes a state from the inactive sticky state registry
+      function removeInactive(name) {
+        delete inactiveStates[name];
+        delete inactivatedAt[name];
+        delete savedViewStates[name];
+        var idx = inactiveOrder.indexOf(name);
+        if (idx !== -1) inactiveOrder.splice(idx, 1);
+        if (expiryTimers[name]) {
+          $window.clearTimeout(expiryTimers[name]);
+          delete expiryTimers[name];
+        }
+        persistSnapshot();
+      }
+
+      // Returns the state at the top of the inactive tree which an inactive state belongs to (i.e., the inactivated sticky state)
+      function inactiveTreeRoot(state) {
+        var params = state.locals.globals.$stateParams;
+        while (state.parent && inactiveStates[instanceKey(state.parent, params)])
+          state = inactiveStates[instanceKey(state.parent, params)];
+        return state;
+      }
+
+      // Saves a snapshot of the inactive states using the configured storage adapter
+      function persistSnapshot() {
+        var storage = getSnapshotStorage();
+        if (storage && !visitingInBackground)
+          storage.save(stickySupport.snapshot());
+      }
+
+      // Returns a promise which is resolved once the pending transition (if any) is complete
+      function afterPendingTransition() {
+        return $state.transition ? $state.transition.then(angular.noop, angular.noop) : $q.when();
+      }
+
+      // Returns a promise which is resolved once the first transition (e.g., to the state of the url when the page is
+      // loaded) is complete, and then any pending transition
+      function afterInitialTransition() {
+        return initialTransition.promise.then(afterPendingTransition);
+      }
+
+      // Returns true if the active state tree would be inactivated (rather than exited) by a transition to the target,
+      // and the target's state tree would be inactivated by the transition back to the active state.
+      function canVisitInBackground(target) {
+        var state = $state.get(target.name).$$state();
+        var changes = calcTreeChanges({ fromState: $state.$current, fromParams: $state.params, toState: state, toParams: target.params });
+        return !!(changes.exiting[0] && changes.exiting[0].sticky && changes.entering[0] && changes.entering[0].sticky);
+      }
+
+      // Returns true if the state belongs to the active state's tree, which is only briefly inactivated while other states
+      // are visited in the background.  Its inactivation and reactivation are kept quiet: its onBeforeInactivate,
+      // onInactivate and onReactivate hooks aren't invoked, no lifecycle events are broadcast, its views aren't detached
+      // and its scroll offsets and focus aren't saved.  It isn't subject to the limits on inactive states either.
+      function isBackgroundOrigin(state) {
+        return visitingInBackground && backgroundOrigin.indexOf(instanceKey(state)) !== -1;
+      }
+
+      // Enters each target ({ name: stateName, params: stateParams, reload: optional reload option }) in turn, in the
+      // background (i.e., without updating the url or broadcasting $stateChange* events), and finally returns to the
+      // active state.  As with any other transition, the targets are inactivated when they are left.  Targets which
+      // can't be inactive alongside the active state are skipped, so the active state is never exited.
+      // Any other transition started during the visit supersedes it (see backgroundVisitSuperseded): the rest of the
+      // targets aren't visited, the visit doesn't return to the active state, and the promise is rejected.
+      function visitInBackground(targets) {
+        var origin = $state.$current, originParams = $state.params;
+        // There is no active state to return to (the initial transition hasn't happened yet)
+        if (origin.self.abstract) return $q.when();
+        targets = filter(targets, canVisitInBackground);
+        if (!targets.length) return $q.when();
+
+        var options = { location: false, notify: false, inherit: false, $$stickyBackground: true };
+        var visit = {};
+        backgroundVisit = visit;
+        function goTo(name, params, reload) {
+          var goOptions = reload ? angular.extend({ reload: reload }, options) : options;
+          return function () {
+            if (backgroundVisit !== visit) return $q.reject(new Error("transition superseded"));
+            return $state.transitionTo(name, params, goOptions);
+          };
+        }
+
+        visitingInBackground = true;
+        backgroundOrigin = map(origin.path, function (state) { return instanceKey(state); });
+        var promise = $q.when();
+        forEach(targets, function (target) {
+          var step = goTo(target.name, target.params, target.reload);
+          promise = promise.then(step, step);
+        });
+        var returnToOrigin = goTo(origin.self.name, originParams);
+        return promise.then(returnToOrigin, returnToOrigin).finally(function () {
+          persistSnapshot();
+          if (backgroundVisit !== visit) return;
+          visitingInBackground = false;
+          backgroundOrigin = [];
+          backgroundVisit = null;
+          // The views weren't updated by the background transitions; let the ui-views render the inactive views
+          $rootScope.$broadcast("$viewContentLoading");
+        });
+      }
+
+      // Returns the inactive state (self) which a target ({ name: stateName, params: stateParams }) describes, or null
+      function inactiveTarget(target) {
+        var state = $state.get(target.name);
+        return state && getInactivatedState(state.$$state(), target.params) ? state : null;
+      }
+
+      // Re-creates the inactive states described by a snapshot, in the order they were originally inactivated.
+      function restoreSnapshot(snapshot) {
+        var entries = filter(snapshot || [], function (entry) {
+          return $state.get(entry.name) && !$state.includes(entry.name, entry.params);
+        });
+        function isDescendantOf(entry) {
+          return function (other) {
+            if (other.name.indexOf(entry.name + ".") !== 0) return false;
+            return !filter(objectKeys(entry.params), function (key) {
+              return !angular.equals(entry.params[key], other.params[key]);
+            }).length;
+          };
+        }
+        // Entering the deepest inactive states also re-creates their inactive ancestors
+        var leaves = filter(entries, function (entry) { return !filter(entries, isDescendantOf(entry)).length; });
+
+        return visitInBackground(leaves).then(function () {
+          return filter(map(entries, inactiveTarget), angular.identity);
+        });
+      }
+
+      // Schedules an inactivated sticky state tree to be exited when it has been inactive for longer than its TTL.
+      // A plain timer is used rather than $timeout, which Protractor would wait on for the whole TTL.
+      function scheduleExpiry(state) {
+        var ttl = angular.isDefined(state.self.stickyTtl) ? state.self.stickyTtl : inactiveTtl;
+        if (!angular.isDefined(ttl)) return;
+        var name = instanceKey(state);
+        expiryTimers[name] = $window.setTimeout(function () {
+          delete expiryTimers[name];
+          $rootScope.$apply(function () { expireInactiveState(name); });
+        }, ttl);
+      }
+
+      // Exits an inactive sticky state tree whose TTL has elapsed, then broadcasts $stickyStateExpired
+      function expireInactiveState(name) {
+        var state = inactiveStates[name];
+        if (!state) return;
+        // Don't exit states out from under a pending transition.  Check again when the transition is complete.
+        if ($state.transition) {
+          var retry = function () { expireInactiveState(name); };
+          $state.transition.then(retry, retry);
+          return;
+        }
+
+        var params = state.locals.globals.$stateParams;
+        if (DEBUG) $log.debug("Expiring inactive sticky state " + name + " after " + (new Date().getTime() - inactivatedAt[name]) + "ms");
+        stickySupport.stateExiting(state);
+        $rootScope.$broadcast("$viewContentLoading");
+        $rootScope.$broadcast("$stickyStateExpired", state.self, params);
+      }
+
+      // Returns the rendered ui-views (see registerView) which are filled by the views of a state (instance)
+      function getRenderedViews(state) {
+        if (!renderedViews.length || !state.locals) return [];
+        var viewLocals = map(objectKeys(state.locals), function (key) { return state.locals[key]; });
+        return filter(renderedViews, function (view) { return viewLocals.indexOf(view.locals) !== -1; });
+      }
+
+      // Counts the watchers of a scope and its descendants.  This also works for suspended scopes (see suspendScope).
+      function countWatchers(scope) {
+        var count = scope.$$watchers ? scope.$$watchers.length : 0;
+        for (var child = scope.$$childHead; child; child = child.$$nextSibling)
+          count += countWatchers(child);
+        return count;
+      }
+
+      // Removes a scope from its parent's list of children, so $digest (and $broadcast) skips it
+      function suspendScope(scope) {
+        var parent = scope.$parent;
+        if (parent.$$childHead === scope) parent.$$childHead = scope.$$nextSibling;
+        if (parent.$$childTail === scope) parent.$$childTail = scope.$$prevSibling;
+        if (scope.$$prevSibling) scope.$$prevSibling.$$nextSibling = scope.$$nextSibling;
+        if (scope.$$nextSibling) scope.$$nextSibling.$$prevSibling = scope.$$prevSibling;
+        scope.$$nextSibling = scope.$$prevSibling = null;
+      }
+
+      // Adds a suspended scope back to its parent's list of children
+      function resumeScope(scope) {
+        var parent = scope.$parent;
+        scope.$$prevSibling = parent.$$childTail;
+        if (parent.$$childTail) parent.$$childTail.$$nextSibling = scope;
+        else parent.$$childHead = scope;
+        parent.$$childTail = scope;
+      }
+
+      // Detaches the ui-view content of an inactivated state from the document, leaving a placeholder comment behind.
+      // A suspended scope doesn't get its parent's $destroy event, so it's put back when the parent is destroyed.
+      function detachViews(state) {
+        var detach = angular.isDefined(state.self.stickyDetach) ? state.self.stickyDetach : detachInactiveViews;
+        if (!detach || !canDetachViews) return;
+        forEach(getRenderedViews(state), function (view) {
+          if (view.placeholder) return;
+          view.placeholder = angular.element($document[0].createComment(" sticky: " + state.self.name + " "));
+          view.element.after(view.placeholder);
+          view.element.detach();
+          suspendScope(view.scope);
+          view.unwatchParent = view.scope.$parent.$on("$destroy", function () { resumeScope(view.scope); });
+        });
+      }
+
+      // Puts the detached ui-view content of a state back in place of its placeholder comment
+      function reattachViews(state) {
+        forEach(getRenderedViews(state), function (view) {
+          if (!view.placeholder) return;
+          view.placeholder.replaceWith(view.element);
+          view.placeholder = null;
+          view.unwatchParent();
+          resumeScope(view.scope);
+        });
+      }
+
+      // Saves the scroll offsets of the elements matching the state's "stickyScroll" selector(s), and if the state's
+      // "stickyFocus" property is true, the focused element.  The elements are looked up in the state's rendered
+      // ui-views (see registerView), or in the document if none were registered.
+      function saveViewState(state) {
+        var selectors = state.self.stickyScroll, doc = $document[0];
+        if (!selectors && !state.self.stickyFocus) return;
+        var views = getRenderedViews(state);
+        var roots = views.length ? map(views, function (view) { return view.element[0]; }) : [ doc ];
+        var saved = { scroll: [], focus: null };
+
+        forEach([].concat(selectors || []), function (selector) {
+          forEach(roots, function (root) {
+            forEach(root.querySelectorAll(selector), function (element) {
+              saved.scroll.push({ element: element, top: element.scrollTop, left: element.scrollLeft });
+            });
+          });
+        });
+
+        var active = doc.activeElement;
+        var inViews = filter(roots, function (root) { return root.contains(active); }).length;
+        if (state.self.stickyFocus && active && active !== doc.body && inViews)
+          saved.focus = active;
+
+        savedViewStates[instanceKey(state)] = saved;
+      }
+
+      // Restores saved scroll offsets and focus.  This is deferred until the reactivated view has been rendered visible.
+      function restoreViewState(saved) {
+        $timeout(function () {
+          forEach(saved.scroll, function (scroll) {
+            scroll.element.scrollTop = scroll.top;
+            scroll.element.scrollLeft = scroll.left;
+          });
+          if (saved.focus && $document[0].contains(saved.focus))
+            saved.focus.focus();
+        }, 0, false);
+      }
+
+      // Does the work of inactivating a state which was added to the inactive sticky state registry: schedules its expiry,
+      // saves its scroll offsets and focus, detaches its views, and invokes onInactivate and broadcasts
+      // $stickyStateInactivated.
+      function announceInactivation(state) {
+        if (state.self.sticky) scheduleExpiry(state);
+        saveViewState(state);
+        detachViews(state);
+        // Notify states they are being Inactivated (i.e., a different
+        // sticky state tree is now active).
+        state.self.status = 'inactive';
+        if (state.self.onInactivate)
+          $injector.invoke(state.self.onInactivate, state.self, state.locals.globals);
+        broadcastLifecycleEvent("$stickyStateInactivated", state);
+        persistSnapshot();
+      }
+
+      // Broadcasts a sticky state lifecycle event on $rootScope, with the state and its params.
+      // i.e., $stickyStateInactivated, $stickyStateReactivated, or $stickyStateExited
+      function broadcastLifecycleEvent(eventName, state) {
+        $rootScope.$broadcast(eventName, state.self, state.locals.globals.$stateParams);
+      }
+
+      function stateNames(states) {
+        return map(states, function (state) { return state.self.name; });
+      }
+
+      // Describes the states of a (surrogate) path as { name: stateName, type: type }.  The type is the surrogate type,
+      // or null if the path element is the state itself.
+      function tracePath(path, types) {
+        return map(path, function (state, idx) {
+          return { name: state.self.name, type: (types ? types[idx] : state.surrogateType) || null };
+        });
+      }
+
+      // The trace sink used when debug is enabled.  Logs a sticky transition trace using $log.debug.
+      logTrace = function (trace) {
+        function message(step) {
+          return step.type ? step.type.toUpperCase() + ": " + step.name : "(" + step.name + ")";
+        }
+        function pathMessage(step) {
+          return (step.type ? step.type + ":" : "") + step.name;
+        }
+        var changes = trace.treeChanges, retained = map(changes.retained, function (name) { return { name: name }; });
+        var transitionMessage = trace.from.name + ": " + angular.toJson(trace.from.params) + ": " + " -> " +
+          trace.to.name + ": " + angular.toJson(trace.to.params);
+
+        $log.debug("------------------------------------------------------");
+        $log.debug("   Current transition: ", transitionMessage);
+        $log.debug("Before transition, inactives are:   : ", trace.inactivesBefore);
+        $log.debug("After transition,  inactives will be: ", trace.inactivesAfter);
+        $log.debug("Transition will exit:  ", map(retained.concat(changes.exiting), message));
+        $log.debug("Transition will enter: ", map(retained.concat(changes.entering), message));
+        if (trace.orphans.length) $log.debug("Transition will exit orphans: ", trace.orphans);
+        $log.debug("SurrogateFromPath: ", map(trace.surrogateFromPath, pathMessage));
+        $log.debug("SurrogateToPath:   ", map(trace.surrogateToPath, pathMessage));
+      };
+
       function sortByStateDepth(a,b) {
         return a.name.split(".").length - b.name.split(".").length;
       }
@@ -186,9 +723,15 @@ function $StickyStateProvider($stateProvider, uirextras_coreProvider) {
           function uniqReduce(memo, orphan) { if (notIn(memo)(orphan)) memo.push(orphan); return memo; }
           function prop(attr) { return function(obj) { return obj[attr]; } }
           function typeIs(type) { return function(obj) { return obj.type === type; } }
-          function isChildOf(state) { return function(other) { return other.parent === state; }; }
-          var notEntering = notIn(treeChanges.entering);
+          function isChildOf(state) {
+            var inInstance = sameInstanceAs(state, transition.toParams);
+            return function(other) { return other.parent === state && inInstance(other); };
+          }
+          function toKey(params) { return function(state) { return instanceKey(state, params); }; }
+          var enteringKeys = treeChanges.entering.map(toKey(transition.toParams));
+          function notEntering(state) { return enteringKeys.indexOf(instanceKey(state)) === -1; }
           function notSticky(state) { return !state.sticky; }
+          function notBackgroundOrigin(state) { return !isBackgroundOrigin(state); }
           ////////////////////////////////////
 
 
@@ -197,10 +740,14 @@ function $StickyStateProvider($stateProvider, uirextras_coreProvider) {
           // Two things must be satisfied in order to inactivate the "exiting" states (instead of exit them):
           // - The first element of the exiting path must be sticky
           // - We must be entering any sibling state of the sticky (we can check this using entering.length)
-          var shouldInactivate = treeChanges.exiting[0] && treeChanges.exiting[0].sticky && treeChanges.entering.length > 0;
+          var shouldInactivate = treeChanges.exiting[0] && treeChanges.entering.length > 0 &&
+              (isBackgroundOrigin(treeChanges.exiting[0]) || isStickyFor(treeChanges.exiting[0], transition));
+          // States whose inactivation was vetoed by their onBeforeInactivate hook are exited (along with their descendants)
+          var vetoedInactivations = transition.vetoedInactivations || [], vetoed = false;
           exitingTypes = treeChanges.exiting.map(function (state) {
-              var stateRentering = treeChanges.entering.indexOf(state) !== -1;
-              var type = shouldInactivate && !stateRentering ? "inactivate" : "exit";
+              var stateRentering = enteringKeys.indexOf(instanceKey(state, transition.fromParams)) !== -1;
+              vetoed = vetoed || vetoedInactivations.indexOf(state) !== -1;
+              var type = shouldInactivate && !stateRentering && !vetoed ? "inactivate" : "exit";
               return { type: type, state: state };
           });
 
@@ -214,6 +761,8 @@ function $StickyStateProvider($stateProvider, uirextras_coreProvider) {
           enteringTypes = treeChanges.entering.map(function(state) {
             var type = getEnterTransition(state, transition.toParams, transition.reloadStateTree, reloaded);
             reloaded = reloaded || type === 'reload';
+            // A reactivated state is the inactive instance, which holds on to the locals of that instance
+            if (type === 'reactivate') state = inactiveStates[instanceKey(state, transition.toParams)];
             return { type: type, state: state };
           });
 
@@ -255,14 +804,48 @@ function $StickyStateProvider($stateProvider, uirextras_coreProvider) {
               // Finally, union that set with any inactive children of the "to state"
               .concat(currentInactives.filter(isChildOf(transition.toState)));
 
+          // Sticky groups (sticky: { group: 'name', maxInactive: n }) keep at most n inactive members.  The least recently
+          // inactivated members beyond the limit are orphaned.  A member beyond the limit which is being inactivated by
+          // this transition (i.e., maxInactive: 0) is exited instead, along with its descendants.
           var currentInactivesByParent = mapInactivesByImmediateParent();
-          var allOrphans = orphanedRoots
-              .map(function(root) { return currentInactivesByParent[root.name] })
-              .filter(angular.isDefined)
-              .reduce(flattenReduce, [])
-              .concat(orphanedRoots)
-              // Sort by depth to exit orphans in proper order
-              .sort(sortByStateDepth);
+          function orphansOf(roots) {
+            return roots
+                .map(function(root) {
+                  // Only the inactive descendants which belong to the same instance of a param-keyed sticky state tree
+                  var descendants = currentInactivesByParent[root.name];
+                  return descendants && descendants.filter(sameInstanceAs(root, root.locals.globals.$stateParams));
+                })
+                .filter(angular.isDefined)
+                .reduce(flattenReduce, [])
+                .concat(roots)
+                // A group member may also be a descendant of another orphan
+                .reduce(uniqReduce, [])
+                // Sort by depth to exit orphans in proper order
+                .sort(sortByStateDepth);
+          }
+          function inactivating() { return exitingTypes.filter(typeIs("inactivate")).map(prop("state")).filter(notBackgroundOrigin); }
+          // The overflowing states which this transition would inactivate are exited instead, along with their descendants
+          function exitInstead(overflowing) {
+            var overflowed = false;
+            forEach(exitingTypes, function (exitingType) {
+              overflowed = overflowed || overflowing.indexOf(exitingType.state) !== -1;
+              if (overflowed) exitingType.type = "exit";
+            });
+          }
+
+          var overflow = groupOverflow(
+              currentInactives.filter(notIn(orphanedRoots)).filter(notEntering).filter(notBackgroundOrigin), inactivating());
+          orphanedRoots = orphanedRoots.concat(overflow.inactive);
+          exitInstead(overflow.inactivating);
+
+          // The least recently inactivated sticky state trees beyond the maximum number of inactive trees are orphaned.
+          var evicted = inactiveTreeOverflow(
+              currentInactives.filter(notIn(orphansOf(orphanedRoots))).filter(notEntering).filter(notBackgroundOrigin),
+              inactivating());
+          orphanedRoots = orphanedRoots.concat(evicted.inactive);
+          exitInstead(evicted.inactivating);
+
+          var allOrphans = orphansOf(orphanedRoots);
 
           // Add them to the list of states being exited.
           var exitOrOrphaned = exitingTypes
@@ -275,7 +858,7 @@ function $StickyStateProvider($stateProvider, uirextras_coreProvider) {
           // Second, add all the existing inactive states
           futureInactives = currentInactives
               .filter(notIn(exitOrOrphaned))
-              .filter(notIn(treeChanges.entering))
+              .filter(notEntering)
               .concat(exitingTypes.filter(typeIs("inactivate")).map(prop("state")))
               .sort(sortByStateDepth);
 
@@ -289,58 +872,135 @@ function $StickyStateProvider($stateProvider, uirextras_coreProvider) {
           };
         },
 
+        // Returns what a transition to a state would do to the sticky states, without performing the transition.  The
+        // arguments are the same as $state.go().  Returns the result of processTransition() (see above) for the transition.
+        // Note: onBeforeInactivate hooks aren't invoked, so they can't veto the inactivations in the preview.
+        previewTransition: function (to, params, options) {
+          options = angular.extend({ inherit: true, relative: $state.$current }, options);
+          var toState = $state.get(to, options.relative);
+          if (!toState) throw new Error("No such state: " + to);
+          var reload = options.reload;
+          return stickySupport.processTransition({
+            toState: toState.$$state(),
+            toParams: params || {},
+            fromState: $state.$current,
+            fromParams: $state.params,
+            options: options,
+            reloadStateTree: reload && (reload === true ? toState.$$state().path[0].self : $state.get(reload, options.relative))
+          });
+        },
+
+        // Invokes the onBeforeInactivate hooks of the states which a transition (see processTransition) will inactivate.
+        // fromPath is the path of the transition's fromState.  A hook may return (or return a promise for):
+        //   false: the transition should be cancelled.  A rejected promise also cancels the transition.
+        //   "exit": the state (and its descendants) should be exited instead of inactivated.
+        // Returns null if there are no hooks to invoke.  Otherwise, returns the verdict: an object { cancel: boolean,
+        // exit: [ states to exit instead of inactivate ] }, or a promise for the verdict if any hook returned a promise.
+        beforeInactivate: function (stickyTransition, fromPath) {
+          var hooked = filter(fromPath, function (state, idx) {
+            return stickyTransition.exit[idx] === "inactivate" && state.self.onBeforeInactivate && !isBackgroundOrigin(state);
+          });
+          if (!hooked.length) return null;
+
+          var results = map(hooked, function (state) {
+            return $injector.invoke(state.self.onBeforeInactivate, state.self, state.locals.globals);
+          });
+          function verdict(results) {
+            return {
+              cancel: results.indexOf(false) !== -1,
+              exit: filter(hooked, function (state, idx) { return results[idx] === "exit"; })
+            };
+          }
+          function isPromise(result) { return !!result && angular.isFunction(result.then); }
+          if (!filter(results, isPromise).length) return verdict(results);
+          return $q.all(results).then(verdict, function () { return { cancel: true, exit: [] }; });
+        },
+
         // Adds a state to the inactivated sticky state registry.
         stateInactivated: function (state) {
-          // Keep locals around.
-          inactiveStates[state.self.name] = state;
-          // Notify states they are being Inactivated (i.e., a different
-          // sticky state tree is now active).
-          state.self.status = 'inactive';
-          if (state.self.onInactivate)
-            $injector.invoke(state.self.onInactivate, state.self, state.locals.globals);
+          var key = instanceKey(state);
+          // Keep locals around.  An instance of a state with instance params holds on to its own locals, because the
+          // state's locals are replaced when a different instance of the state is entered.
+          if (getInstanceParams(state).length) state = inherit(state, { locals: state.locals });
+          inactiveStates[key] = state;
+          inactivatedAt[key] = new Date().getTime();
+          // Track the order in which sticky states are inactivated (used to evict the least recently inactivated)
+          if (state.self.sticky) inactiveOrder.push(key);
+          if (!isBackgroundOrigin(state)) announceInactivation(state);
+        },
+
+        // Called by the decorated $state.transitionTo() when a transition which isn't part of a visit in the background
+        // starts.  The transition supersedes the visit (see visitInBackground).  The active state's tree may have been
+        // inactivated quietly by the visit; it is now really inactive, so its inactivation is completed.
+        backgroundVisitSuperseded: function () {
+          if (!visitingInBackground) return;
+          var origin = backgroundOrigin;
+          visitingInBackground = false;
+          backgroundOrigin = [];
+          backgroundVisit = null;
+          forEach(origin.slice().reverse(), function (key) {
+            if (inactiveStates[key]) announceInactivation(inactiveStates[key]);
+          });
         },
 
         // Removes a previously inactivated state from the inactive sticky state registry
         stateReactivated: function (state) {
-          if (inactiveStates[state.self.name]) {
-            delete inactiveStates[state.self.name];
+          var key = instanceKey(state), savedViewState = savedViewStates[key];
+          if (inactiveStates[key]) {
+            removeInactive(key);
           }
+          // The reactivated instance's locals become the state's locals again
+          state.self.$$state().locals = state.locals;
+          if (isBackgroundOrigin(state)) return;
+          reactivations[key] = (reactivations[key] || 0) + 1;
+          reattachViews(state);
+          if (savedViewState) restoreViewState(savedViewState);
           state.self.status = 'entered';
 //        if (state.locals == null || state.locals.globals == null) debugger;
           if (state.self.onReactivate)
             $injector.invoke(state.self.onReactivate, state.self, state.locals.globals);
+          broadcastLifecycleEvent("$stickyStateReactivated", state);
         },
 
         // Exits all inactivated descendant substates when the ancestor state is exited.
         // When transitionTo is exiting a state, this function is called with the state being exited.  It checks the
         // registry of inactivated states for descendants of the exited state and also exits those descendants.  It then
         // removes the locals and de-registers the state from the inactivated registry.
+        // $stickyStateExited is broadcast for each exited state which was inactive or is sticky.
         stateExiting: function (exiting, exitQueue, onExit) {
-          var exitingNames = {};
-          angular.forEach(exitQueue, function (state) {
-            exitingNames[state.self.name] = true;
-          });
+          var exitingKey = instanceKey(exiting), exitedInactives = {};
+          var inExitingInstance = sameInstanceAs(exiting, exiting.locals.globals.$stateParams);
+          function notInExitQueue(state) { return !exitQueue || exitQueue.indexOf(state) === -1; }
 
           angular.forEach(inactiveStates, function (inactiveExiting, name) {
             // TODO: Might need to run the inactivations in the proper depth-first order?
-            if (!exitingNames[name] && inactiveExiting.includes[exiting.name]) {
-              if (DEBUG) $log.debug("Exiting " + name + " because it's a substate of " + exiting.name + " and wasn't found in ", exitingNames);
+            if (notInExitQueue(inactiveExiting) && inactiveExiting.includes[exiting.name] && inExitingInstance(inactiveExiting)) {
+              if (DEBUG) $log.debug("Exiting " + name + " because it's a substate of " + exiting.name + " and wasn't found in ", map(exitQueue, instanceKey));
               if (inactiveExiting.self.onExit)
                 $injector.invoke(inactiveExiting.self.onExit, inactiveExiting.self, inactiveExiting.locals.globals);
+              broadcastLifecycleEvent("$stickyStateExited", inactiveExiting);
+              exitedInactives[name] = true;
               angular.forEach(inactiveExiting.locals, function(localval, key) {
                 delete inactivePseudoState.locals[key];
               });
+              reattachViews(inactiveExiting);
               inactiveExiting.locals = null;
               inactiveExiting.self.status = 'exited';
-              delete inactiveStates[name];
+              delete reactivations[name];
+              removeInactive(name);
             }
           });
 
           if (onExit)
             $injector.invoke(onExit, exiting.self, exiting.locals.globals);
+          var wasInactive = inactiveStates[exitingKey] === exiting;
+          if (!exitedInactives[exitingKey] && (exiting.sticky || wasInactive))
+            broadcastLifecycleEvent("$stickyStateExited", exiting);
+          reattachViews(exiting);
           exiting.locals = null;
           exiting.self.status = 'exited';
-          delete inactiveStates[exiting.self.name];
+          delete reactivations[exitingKey];
+          if (wasInactive) removeInactive(exitingKey);
         },
 
         // Removes a previously inactivated state from the inactive sticky state registry
@@ -352,6 +1012,7 @@ function $StickyStateProvider($stateProvider, uirextras_coreProvider) {
             entering.locals = savedLocals;
           }
           entering.self.status = 'entered';
+          addInstanceViews(entering);
 
           if (onEnter)
             $injector.invoke(onEnter, entering.self, entering.locals.globals);
@@ -364,11 +1025,214 @@ function $StickyStateProvider($stateProvider, uirextras_coreProvider) {
           }
           var state = $state.get(inactiveState);
           if (!state) return false;
-          var exiting = getInactivatedState(state, params);
-          if (!exiting) return false;
-          stickySupport.stateExiting(exiting);
+          var internalState = state.$$state();
+          // Without params, reset every inactive instance of the state
+          var exiting = params ? [ getInactivatedState(internalState, params) ] :
+              filter(inactiveStates, function (inactive) { return inactive.self === state; });
+          exiting = filter(exiting, function (inactive) { return !!inactive; });
+          if (!exiting.length) return false;
+          forEach(exiting, function (inactive) {
+            // An instance may have already been exited along with an ancestor instance
+            if (inactive.locals) stickySupport.stateExiting(inactive);
+          });
           $rootScope.$broadcast("$viewContentLoading");
           return true;
+        },
+
+        // Registers the rendered content of a ui-view, filled by the view whose locals are given.  The content of the
+        // ui-views of inactive sticky states may be detached from the document (see detachInactiveViews).
+        // Called by the uiView directive in this module.
+        registerView: function (locals, element, scope) {
+          var view = { locals: locals, element: element, scope: scope };
+          renderedViews.push(view);
+          scope.$on("$destroy", function () {
+            renderedViews.splice(renderedViews.indexOf(view), 1);
+            if (!view.placeholder) return;
+            view.placeholder.remove();
+            view.element.remove();
+          });
+        },
+
+        // Exits every inactive state under a parent state (or every inactive state, if no parent is given) for which
+        // the predicate, called as predicate(state, $stateParams), returns true.  The parent may be omitted,
+        // i.e., resetAll(predicate).  The inactive descendants of an exited state are exited too.
+        // Returns an array of the states which were exited.
+        resetAll: function (parent, predicate) {
+          if (angular.isFunction(parent)) {
+            predicate = parent;
+            parent = undefined;
+          }
+          var parentState = parent && $state.get(parent);
+          if (parent && !parentState) return [];
+
+          var before = stickySupport.getInactiveStates();
+          var keys = map(before, function (state) { return instanceKey(state); });
+          var exiting = filter(before, function (state) {
+            if (parentState && (state.self === parentState || !state.includes[parentState.name])) return false;
+            return !predicate || !!predicate(state.self, state.locals.globals.$stateParams);
+          });
+          forEach(exiting, function (state) {
+            // A state may have already been exited along with an inactive ancestor
+            if (state.locals) stickySupport.stateExiting(state);
+          });
+
+          var exited = filter(before, function (state, idx) { return inactiveStates[keys[idx]] !== state; });
+          if (exited.length)
+            $rootScope.$broadcast("$viewContentLoading");
+          return map(exited, function (state) { return state.self; });
+        },
+
+        // Called by the decorated $state.transitionTo when a transition has succeeded, and the states' paths are restored
+        transitionComplete: function () {
+          initialTransition.resolve();
+        },
+
+        // Called by the decorated $state.transitionTo when a transition has failed.  If there is still no active state
+        // and no other transition is pending (i.e., the first transition has failed for good), whatever is waiting for
+        // the first transition is rejected with the error, and then waits for the next transition instead.
+        transitionFailed: function (err) {
+          if ($state.transition || !$state.$current.self.abstract) return;
+          initialTransition.reject(err);
+          initialTransition = $q.defer();
+        },
+
+        // Records the trace of a sticky transition.  Called by the decorated $state.transitionTo() once the surrogate
+        // paths for the transition are built, i.e., before the transition is run.  The trace is added to the trace
+        // buffer (see getTrace()) and passed to each trace sink (see $stickyStateProvider.addTraceSink()).
+        trace: function (transition, stickyTransition, surrogateFromPath, surrogateToPath) {
+          if (!traceSize && !traceSinks.length) return;
+          var treeChanges = calcTreeChanges(transition), keep = treeChanges.keep;
+          var trace = {
+            time: new Date().getTime(),
+            from: { name: transition.fromState.self.name, params: transition.fromParams },
+            to: { name: transition.toState.self.name, params: transition.toParams },
+            treeChanges: {
+              keep: keep,
+              retained: stateNames(treeChanges.retained),
+              exiting: tracePath(treeChanges.exiting, stickyTransition.exit.slice(keep)),
+              entering: tracePath(treeChanges.entering, stickyTransition.enter.slice(keep))
+            },
+            surrogateFromPath: tracePath(surrogateFromPath),
+            surrogateToPath: tracePath(surrogateToPath),
+            inactivesBefore: stateNames(stickySupport.getInactiveStates()),
+            inactivesAfter: stateNames(stickyTransition.inactives),
+            orphans: stateNames(stickyTransition.orphans)
+          };
+
+          if (traceSize) {
+            traceBuffer.push(trace);
+            if (traceBuffer.length > traceSize) traceBuffer.splice(0, traceBuffer.length - traceSize);
+          }
+          forEach(traceSinks, function (sink) { sink(trace); });
+        },
+
+        // Returns the traces of the most recent sticky transitions, oldest first (see $stickyStateProvider.traceSize()).
+        // Each trace is an object: { time, from: { name, params }, to: { name, params }, treeChanges: { keep,
+        // retained: [ stateName ], exiting: [ { name, type } ], entering: [ { name, type } ] }, surrogateFromPath:
+        // [ { name, type } ], surrogateToPath: [ { name, type } ], inactivesBefore: [ stateName ],
+        // inactivesAfter: [ stateName ], orphans: [ stateName ] }
+        getTrace: function () {
+          return traceBuffer.slice();
+        },
+
+        addTraceSink: addTraceSink,
+
+        // Returns statistics about each inactive state: an array of { name: stateName, params: $stateParams,
+        // inactivatedAt: time (ms) the state was inactivated, reactivations: number of times the state has been reactivated
+        // since it was entered, viewLocals: number of view locals the state holds in __inactives.locals, watchers:
+        // { viewName: number of watchers under the view's scope } for each of the state's rendered ui-views }
+        getStats: function () {
+          return map(stickySupport.getInactiveStates(), function (state) {
+            var key = instanceKey(state), watchers = {};
+            var viewNames = filter(objectKeys(state.locals), function (name) { return name.indexOf("@") !== -1; });
+            forEach(getRenderedViews(state), function (view) {
+              var viewName = filter(viewNames, function (name) { return state.locals[name] === view.locals; })[0];
+              watchers[viewName] = countWatchers(view.scope);
+            });
+            return {
+              name: state.self.name,
+              params: state.locals.globals.$stateParams,
+              inactivatedAt: inactivatedAt[key],
+              reactivations: reactivations[key] || 0,
+              viewLocals: filter(viewNames, function (name) {
+                return inactivePseudoState.locals[name] === state.locals[name];
+              }).length,
+              watchers: watchers
+            };
+          });
+        },
+
+        // Returns a JSON serializable description of the inactive states: an array of { name: stateName, params: $stateParams }
+        // ordered from least recently to most recently inactivated.  See restore().
+        snapshot: function () {
+          function treeOrder(state) { return inactiveOrder.indexOf(instanceKey(inactiveTreeRoot(state))); }
+          var states = stickySupport.getInactiveStates().sort(function (a, b) {
+            return (treeOrder(a) - treeOrder(b)) || sortByStateDepth(a, b);
+          });
+          return map(states, function (state) {
+            return { name: state.self.name, params: angular.copy(state.locals.globals.$stateParams) };
+          });
+        },
+
+        // Re-creates the inactive states from a snapshot (or, if no snapshot is given, from the snapshot storage adapter)
+        // without making them active.  Returns a promise for the states which were restored to inactive.
+        // The inactive states can only be re-created alongside an active state, so when restore() is called before the
+        // first transition is complete (e.g., while the app is bootstrapping after a page reload), the states are
+        // re-created once the first transition succeeds.  The promise is rejected if the first transition fails, or if
+        // another transition is started before the states are re-created.
+        restore: function (snapshot) {
+          var storage = getSnapshotStorage();
+          var loaded = angular.isDefined(snapshot) ? snapshot : storage && storage.load();
+          return $q.all([ loaded, afterInitialTransition() ]).then(function (results) {
+            return restoreSnapshot(results[0]);
+          });
+        },
+
+        // Resolves a state and instantiates its views without making it active, as if the user had visited the state
+        // and then left it.  Entering the state later on reactivates it.  Returns a promise for the state, which is
+        // rejected if the state can't be inactive alongside the active state (i.e., unless the active state and the
+        // state are in different sticky state trees), or if another transition is started before it is activated.
+        activateInBackground: function (stateName, params) {
+          var target = { name: stateName, params: params || {} };
+          function isActive() { return $state.includes(stateName, target.params); }
+          return afterPendingTransition().then(function () {
+            if (!$state.get(stateName)) return $q.reject(new Error("No such state: " + stateName));
+            if (!inactiveTarget(target) && !isActive()) return visitInBackground([ target ]);
+          }).then(function () {
+            var state = inactiveTarget(target) || (isActive() && $state.get(stateName));
+            if (!state) return $q.reject(new Error("State " + stateName + " could not be activated in the background"));
+            return state;
+          });
+        },
+
+        // Reloads an inactive sticky state (or an inactive descendant of one) in the background, without making it
+        // active.  The state's resolves are re-run and its view locals are replaced, as if by a transition to the state
+        // with the { reload: stateName } option, so onExit and onEnter are invoked.  The state's inactive descendants
+        // on the path to its most deeply nested inactive descendant are reactivated and inactivated again; any other
+        // inactive descendants are exited.  The optional params select an instance of a param-keyed sticky state.
+        // Returns a promise for the state (self), which is rejected if the state isn't inactive or couldn't be reloaded,
+        // or if another transition is started before the reload is complete.
+        reload: function (stateName, params) {
+          return afterPendingTransition().then(function () {
+            var state = $state.get(stateName);
+            if (!state) return $q.reject(new Error("No such state: " + stateName));
+            var inactive = params ? getInactivatedState(state.$$state(), params) :
+                filter(stickySupport.getInactiveStates(), function (other) { return other.self === state; })[0];
+            if (!inactive) return $q.reject(new Error("State " + stateName + " is not inactive"));
+            var locals = inactive.locals;
+            var inInstance = sameInstanceAs(inactive, locals.globals.$stateParams);
+            var deepest = filter(stickySupport.getInactiveStates(), function (other) {
+              return other.includes[stateName] && inInstance(other);
+            }).pop();
+            var visit = { name: deepest.self.name, params: deepest.locals.globals.$stateParams, reload: stateName };
+
+            return visitInBackground([ visit ]).then(function () {
+              var reloaded = getInactivatedState(state.$$state(), locals.globals.$stateParams);
+              if (!reloaded || reloaded.locals === locals)
+                return $q.reject(new Error("State " + stateName + " could not be reloaded in the background"));
+              return state;
+            });
+          });
         }
       };
 
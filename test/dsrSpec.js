@@ -1,5 +1,5 @@
 "use strict";
-var $get, $state, $q, $deepStateRedirect;
+var $get, $state, $q, $deepStateRedirect, p9ResolveFails, p10Invalid, p10Async, p11Result;
 
 function getDSRStates () {
   // This function effectively returns the default DSR state at runtime
@@ -42,7 +42,39 @@ function getDSRStates () {
     { name: 'p7.child2'},
     { name: 'p8', dsr: true },
     { name: 'p8child1', parent: 'p8' },
-    { name: 'p8child2', parent: 'p8' }
+    { name: 'p8child2', parent: 'p8' },
+    { name: 'p9', url: '/p9/:param', dsr: { params: true, history: 3, default: 'p9.child1' } },
+    { name: 'p9.child1'},
+    { name: 'p9.child2'},
+    { name: 'p9.child3'},
+    { name: 'p9.record', resolve: { record: function($q) { return p9ResolveFails ? $q.reject(new Error("deleted")) : "record"; } } },
+    { name: 'p10', dsr: { default: 'p10.child1', validate: function($dsr$, $q) {
+      var valid = p10Invalid.indexOf($dsr$.redirect.state) === -1;
+      if (!p10Async) return valid;
+      return valid ? $q.when(true) : $q.reject(new Error("deleted"));
+    } } },
+    { name: 'p10.child1'},
+    { name: 'p10.child2'},
+    { name: 'p10.child3'},
+    { name: 'p10history', dsr: { history: 3, validate: function($dsr$) { return p10Invalid.indexOf($dsr$.redirect.state) === -1; } } },
+    { name: 'p10history.child1'},
+    { name: 'p10history.child2'},
+    { name: 'p11', url: '/p11', dsr: { default: 'p11.child1', fn: function($dsr$, $q) { return $q.when(p11Result); } } },
+    { name: 'p11.child1'},
+    { name: 'p11.child2'},
+    { name: 'p12', url: '/p12/:param', dsr: { params: true, exclude: [ 'p12.items.edit', '**.wizard.*', function(state, params) {
+      return state.name === 'p12.items' && params.param === "hidden";
+    } ] } },
+    { name: 'p12.items'},
+    { name: 'p12.items.edit', url: '/edit/:itemId'},
+    { name: 'p12.items.wizard'},
+    { name: 'p12.items.wizard.step1'},
+    { name: 'p12.items.wizard.step2'},
+    { name: 'p12.glob', dsr: { exclude: 'p12.glob.*' } },
+    { name: 'p12.glob.child'},
+    { name: 'p13', url: '/p13/:param', dsr: { params: ['param'], default: 'p13.child1' } },
+    { name: 'p13.child1', url: '/child1'},
+    { name: 'p13.child2', url: '/child2/:id'}
   ];
 }
 
@@ -238,5 +270,640 @@ describe('deepStateRedirect', function () {
       });
 
     })
-  })
+  });
+
+  describe("validate", function() {
+    beforeEach(function() {
+      p10Invalid = [];
+      p10Async = false;
+    });
+
+    it("should redirect to the last substate when it is valid", function() {
+      testGo("p10.child2");
+      testGo("other");
+      testGo("p10", undefined, { redirect: 'p10.child2' });
+    });
+
+    it("should redirect to the default and forget the last substate when it is not valid", function() {
+      testGo("p10.child2");
+      testGo("other");
+      p10Invalid = ['p10.child2'];
+      testGo("p10", undefined, { redirect: 'p10.child1' });
+      p10Invalid = [];
+      testGo("other");
+      testGo("p10", undefined, { redirect: 'p10.child1' });
+    });
+
+    it("should accept a promise, which is rejected when the last substate is not valid", function() {
+      p10Async = true;
+      testGo("p10.child2");
+      testGo("other");
+      testGo("p10", undefined, { redirect: 'p10.child2' });
+      testGo("other");
+      p10Invalid = ['p10.child2'];
+      testGo("p10", undefined, { redirect: 'p10.child1' });
+      expect($deepStateRedirect.getHistory('p10')).toEqual([ { state: 'p10.child1', params: {} } ]);
+    });
+
+    it("should not validate the default substate", function() {
+      p10Invalid = ['p10.child1'];
+      testGo("p10", undefined, { redirect: 'p10.child1' });
+    });
+
+    it("should fall back to the previous valid substate of a DSR state with a history", function() {
+      testGo("p10history.child1");
+      testGo("p10history.child2");
+      testGo("other");
+      p10Invalid = ['p10history.child2'];
+      testGo("p10history", undefined, { redirect: 'p10history.child1' });
+      p10Invalid = ['p10history.child1'];
+      testGo("other");
+      testGo("p10history");
+      expect($deepStateRedirect.getHistory('p10history')).toEqual([ { state: 'p10history', params: {} } ]);
+    });
+  });
+
+  describe("asynchronous dsr fn", function() {
+    it("should redirect to the last substate when the promise resolves to true", function() {
+      p11Result = true;
+      testGo("p11.child2");
+      testGo("other");
+      testGo("p11", undefined, { redirect: 'p11.child2' });
+    });
+
+    it("should redirect to the state the promise resolves to", function() {
+      p11Result = { state: 'p11.child2', params: {} };
+      testGo("p11", undefined, { redirect: 'p11.child2' });
+    });
+
+    it("should transition to the DSR state itself when the promise resolves to false", function() {
+      p11Result = false;
+      testGo("p11.child2");
+      testGo("other");
+      testGo("p11");
+    });
+
+    it("should continue the transition to the DSR state itself with the transition's options", function() {
+      p11Result = false;
+      testGo("p11.child2");
+      resetTransitionLog();
+      testGo("p11", { exited: ['p11.child2', 'p11'], entered: 'p11' }, { reload: true });
+    });
+
+    it("should update the url when it continues a transition started from the url", inject(function($location) {
+      p11Result = false;
+      testGo("p11.child2");
+      testGo("p13.child1", undefined, { params: { param: "1" } });
+      expect($location.url()).toBe("/p13/1/child1");
+      $location.url("/p11");
+      $q.flush();
+      expect($state.current.name).toBe("p11");
+      expect($location.url()).toBe("/p11");
+    }));
+
+    it("should tell when the promise is rejected, and transition to the DSR state itself", inject(function($rootScope) {
+      var events = [];
+      $rootScope.$on("$deepStateRedirectEnd", function(event, dsrEvent) { events.push(dsrEvent); });
+      p11Result = true;
+      testGo("p11.child2");
+      testGo("other");
+      p11Result = $q.reject(new Error("offline"));
+      testGo("p11");
+      expect(events.length).toBe(1);
+      expect(events[0].to.state).toBe("p11");
+      expect(events[0].error.message).toBe("offline");
+    }));
+
+    it("should not redirect when another transition was started while the promise was pending", function() {
+      p11Result = true;
+      testGo("p11.child2");
+      testGo("other");
+      $state.go("p11");
+      $state.go("tabs");
+      $q.flush();
+      expect($state.current.name).toBe("tabs");
+      p11Result = false;
+      $state.go("p11");
+      $state.go("other");
+      $q.flush();
+      expect($state.current.name).toBe("other");
+    });
+  });
+
+  describe("dsr-sref and dsr-href directives", function() {
+    var scope;
+    beforeEach(inject(function($rootScope) {
+      scope = $rootScope.$new();
+      scope.param = "1";
+    }));
+
+    function link(html) {
+      var el;
+      inject(function($compile) { el = $compile(html)(scope); });
+      scope.$digest();
+      return el;
+    }
+
+    it("dsr-sref should link to the state itself", function() {
+      var el = link('<a dsr-sref="p13({ param: param })">p13</a>');
+      expect(el.attr('href')).toBe($state.href('p13', { param: "1" }));
+      scope.param = "2";
+      scope.$digest();
+      expect(el.attr('href')).toBe($state.href('p13', { param: "2" }));
+    });
+
+    it("dsr-sref should transition to the state ignoring deep state redirect", function() {
+      testGo("p13.child2", undefined, { params: { param: "1", id: "5" } });
+      testGo("other");
+      var el = link('<a dsr-sref="p13({ param: param })">p13</a>');
+      el.triggerHandler('click');
+      scope.$digest();
+      $q.flush();
+      expect($state.current.name).toBe('p13');
+      expect($state.params).toEqual({ param: "1" });
+    });
+
+    it("dsr-sref should not transition when the link is clicked with a modifier key", function() {
+      testGo("other");
+      var el = link('<a dsr-sref="p13({ param: param })">p13</a>');
+      el.triggerHandler({ type: 'click', ctrlKey: true });
+      scope.$digest();
+      $q.flush();
+      expect($state.current.name).toBe('other');
+    });
+
+    it("dsr-href should link to the default substate", function() {
+      var el = link('<a dsr-href="p13({ param: param })">p13</a>');
+      expect(el.attr('href')).toBe($state.href('p13.child1', { param: "1" }));
+    });
+
+    it("dsr-href should link to the last substate, and follow it as it changes", function() {
+      var el = link('<a dsr-href="p13({ param: param })">p13</a>');
+      testGo("p13.child2", undefined, { params: { param: "1", id: "5" } });
+      scope.$digest();
+      expect(el.attr('href')).toBe($state.href('p13.child2', { param: "1", id: "5" }));
+      scope.param = "2";
+      scope.$digest();
+      expect(el.attr('href')).toBe($state.href('p13.child1', { param: "2" }));
+    });
+
+    it("dsr-href should link to a state which has no deep state redirect", function() {
+      var el = link('<a dsr-href="p1.child({ param1: param, param2: 2 })">p1</a>');
+      expect(el.attr('href')).toBe($state.href('p1.child', { param1: "1", param2: 2 }));
+      el = link('<a dsr-href="nonexistent">nonexistent</a>');
+      expect(el.attr('href')).toBeUndefined();
+    });
+  });
+
+  describe("redirect events", function() {
+    var events;
+    beforeEach(inject(function($rootScope) {
+      events = [];
+      angular.forEach([ "$deepStateRedirectStart", "$deepStateRedirectEnd" ], function(eventName) {
+        $rootScope.$on(eventName, function(evt, dsrEvent) { events.push(angular.extend({ name: eventName }, dsrEvent)); });
+      });
+    }));
+
+    it("should broadcast $deepStateRedirectStart and $deepStateRedirectEnd when redirecting to the last substate", function() {
+      testGo("tabs.tabs2.deep.nest");
+      testGo("tabs.tabs1");
+      expect(events).toEqual([]);
+      testGo("tabs.tabs2", undefined, { redirect: 'tabs.tabs2.deep.nest' });
+      expect(_.map(events, 'name')).toEqual([ "$deepStateRedirectStart", "$deepStateRedirectEnd" ]);
+      expect(events[0].to).toEqual({ state: 'tabs.tabs2', params: {} });
+      expect(events[0].redirect).toEqual({ state: 'tabs.tabs2.deep.nest', params: {} });
+      expect(events[0].$dsr$.redirect.state).toBe('tabs.tabs2.deep.nest');
+      expect(events[0].$dsr$.to.state).toBe('tabs.tabs2');
+      expect(events[0].usedDefault).toBe(false);
+      expect(events[1].error).toBeUndefined();
+    });
+
+    it("should tell whether the default substate was used", function() {
+      testGo("p4", undefined, { redirect: 'p4.child' });
+      expect(_.map(events, 'usedDefault')).toEqual([ true, true ]);
+      testGo("p4.child2");
+      testGo("other");
+      testGo("p4", undefined, { redirect: 'p4.child2' });
+      expect(_.map(events, 'usedDefault')).toEqual([ true, true, false, false ]);
+    });
+
+    it("should tell when the redirect transition fails", function() {
+      p9ResolveFails = false;
+      testGo("p9.record", undefined, { params: { param: "1" } });
+      testGo("other");
+      p9ResolveFails = true;
+      events = [];
+      testGo("p9", undefined, { params: { param: "1" }, redirect: 'p9.child1' });
+      expect(_.map(events, 'name')).toEqual([ "$deepStateRedirectStart", "$deepStateRedirectEnd", "$deepStateRedirectStart", "$deepStateRedirectEnd" ]);
+      expect(events[1].redirect.state).toBe('p9.record');
+      expect(events[1].error.message).toBe("deleted");
+      expect(events[3].redirect.state).toBe('p9.child1');
+      expect(events[3].error).toBeUndefined();
+    });
+
+    it("should not broadcast when the transition is not redirected", function() {
+      testGo("tabs.tabs2");
+      testGo("p8");
+      expect(events).toEqual([]);
+    });
+  });
+
+  describe("exclude", function() {
+    it("should remember the parent of an excluded substate", function() {
+      testGo("p12.items.edit", undefined, { params: { param: "1", itemId: "5" } });
+      expect($deepStateRedirect.getHistory('p12', { param: "1" })).toEqual([ { state: 'p12.items', params: { param: "1" } } ]);
+      testGo("other");
+      testGo("p12", undefined, { params: { param: "1" }, redirect: 'p12.items' });
+    });
+
+    it("should remember the nearest ancestor which is not excluded by a glob", function() {
+      testGo("p12.items.wizard.step2", undefined, { params: { param: "1" } });
+      testGo("other");
+      testGo("p12", undefined, { params: { param: "1" }, redirect: 'p12.items.wizard' });
+    });
+
+    it("should remember the nearest ancestor which is not excluded by a predicate", function() {
+      testGo("p12.items.edit", undefined, { params: { param: "hidden", itemId: "5" } });
+      expect($deepStateRedirect.getHistory('p12', { param: "hidden" })).toEqual([ { state: 'p12', params: { param: "hidden" } } ]);
+      testGo("p12.items.wizard", undefined, { params: { param: "1" } });
+      expect($deepStateRedirect.getHistory('p12', { param: "1" })).toEqual([ { state: 'p12.items.wizard', params: { param: "1" } } ]);
+    });
+
+    it("should accept a single glob", function() {
+      testGo("p12.glob.child", undefined, { params: { param: "1" } });
+      expect($deepStateRedirect.getHistory('p12.glob')).toEqual([ { state: 'p12.glob', params: { param: "1" } } ]);
+      expect($deepStateRedirect.getHistory('p12', { param: "1" })).toEqual([ { state: 'p12.glob.child', params: { param: "1" } } ]);
+    });
+  });
+
+  describe("history", function() {
+    beforeEach(function() {
+      p9ResolveFails = false;
+    });
+
+    function historyStates(params) {
+      return _.map($deepStateRedirect.getHistory('p9', params || { param: "1" }), 'state');
+    }
+
+    it("should remember the last n distinct substates, most recent first", function() {
+      testGo("p9.child1", undefined, { params: { param: "1" } });
+      testGo("p9.child2");
+      testGo("p9.child3");
+      testGo("p9.child2");
+      expect(historyStates()).toEqual(['p9.child2', 'p9.child3', 'p9.child1']);
+      testGo("p9.record");
+      expect(historyStates()).toEqual(['p9.record', 'p9.child2', 'p9.child3']);
+      expect($deepStateRedirect.getHistory('p9', { param: "1" })[0].params).toEqual({ param: "1" });
+      expect(historyStates({ param: "2" })).toEqual([]);
+    });
+
+    it("should return the last substate as the history of a DSR state without the history option", function() {
+      testGo("tabs.tabs2.deep");
+      testGo("tabs.tabs2.deep.nest");
+      expect(_.map($deepStateRedirect.getHistory('tabs.tabs2'), 'state')).toEqual(['tabs.tabs2.deep.nest']);
+    });
+
+    it("should redirect to the previous substate after the most recent is popped", function() {
+      testGo("p9.child1", undefined, { params: { param: "1" } });
+      testGo("p9.child2");
+      testGo("other");
+      expect($deepStateRedirect.popHistory('p9', { param: "1" }).state).toBe('p9.child2');
+      testGo("p9", undefined, { params: { param: "1" }, redirect: 'p9.child1' });
+      testGo("other");
+      $deepStateRedirect.popHistory('p9', { param: "1" });
+      $deepStateRedirect.popHistory('p9', { param: "1" });
+      expect(historyStates()).toEqual([]);
+      testGo("p9", undefined, { params: { param: "1" }, redirect: 'p9.child1' });
+    });
+
+    it("should fall back to the previous substate when the redirect to the last substate fails", function() {
+      testGo("p9.child2", undefined, { params: { param: "1" } });
+      testGo("p9.record");
+      testGo("other");
+      p9ResolveFails = true;
+      testGo("p9", undefined, { params: { param: "1" }, redirect: 'p9.child2' });
+      expect(historyStates()).toEqual(['p9.child2']);
+    });
+
+    it("should be forgotten when reset", function() {
+      testGo("p9.child2", undefined, { params: { param: "1" } });
+      testGo("p9.child3");
+      $deepStateRedirect.reset('p9', { param: "1" });
+      expect(historyStates()).toEqual([]);
+      testGo("p9.child3");
+      $deepStateRedirect.reset();
+      expect(historyStates()).toEqual([]);
+    });
+  });
+});
+
+describe('deepStateRedirect persistence', function () {
+  var saved, persisted, adapter, _stateProvider;
+
+  beforeEach(module('ct.ui.router.extras.dsr', function ($stateProvider, $urlRouterProvider, $deepStateRedirectProvider) {
+    _stateProvider = $stateProvider;
+    $urlRouterProvider.otherwise("/");
+    var newStates = getDSRStates();
+    dsrReset(newStates);
+    angular.forEach(newStates, function(state) { $stateProvider.state(state); });
+
+    saved = [];
+    adapter = {
+      load: function() { return persisted; },
+      save: function(persisted) { saved.push(angular.copy(persisted)); }
+    };
+    $deepStateRedirectProvider.persistence(adapter);
+  }));
+
+  // The persisted last substates are loaded when the injector is created, i.e., after the module config blocks run
+  function inject$(persistedSubstates) {
+    persisted = persistedSubstates && { partition: "", substates: persistedSubstates };
+    inject(function($injector) {
+      $get = $injector.get;
+      $state = $get('$state');
+      $q = $get('$q');
+      $deepStateRedirect = $get('$deepStateRedirect');
+    });
+  }
+
+  it("should save the last substates on $stateChangeSuccess", function() {
+    inject$();
+    testGo("tabs.tabs2.deep.nest");
+    expect(saved.length).toBe(1);
+    expect(saved[0].substates['tabs.tabs2']).toEqual({ '{}': [ { state: 'tabs.tabs2.deep.nest', params: {} } ] });
+  });
+
+  it("should save the last substates when they are reset", function() {
+    inject$();
+    testGo("tabs.tabs2.deep.nest");
+    $deepStateRedirect.reset("tabs.tabs2");
+    expect(saved.length).toBe(2);
+    expect(saved[1].substates['tabs.tabs2']).toEqual({});
+  });
+
+  it("should redirect to the persisted last substates", function() {
+    inject$({
+      'tabs.tabs2': { '{}': [ { state: 'tabs.tabs2.deep.nest', params: {} } ] },
+      'p1': { '{"param1":"1"}': [ { state: 'p1.child', params: { param1: "1", param2: "2" } } ] }
+    });
+    testGo("tabs.tabs2", undefined, { redirect: 'tabs.tabs2.deep.nest' });
+    testGo("p1", undefined, { params: { param1: "1", param2: "3" }, redirect: 'p1.child' });
+    expect($state.params).toEqual({ param1: "1", param2: "2" });
+  });
+
+  it("should save the substate histories", function() {
+    inject$();
+    testGo("p9.child2", undefined, { params: { param: "1" } });
+    testGo("p9.child3", undefined, { params: { param: "1" } });
+    expect(saved[1].substates['p9']).toEqual({ '{"param":"1"}': [
+      { state: 'p9.child3', params: { param: "1" } }, { state: 'p9.child2', params: { param: "1" } }
+    ] });
+  });
+
+  it("should load the persisted substate histories, up to the DSR state's history size", function() {
+    inject$({
+      'p9': { '{"param":"1"}': [ { state: 'p9.child3', params: { param: "1" } }, { state: 'p9.child2', params: { param: "1" } } ] },
+      'tabs.tabs2': { '{}': [ { state: 'tabs.tabs2.deep.nest', params: {} }, { state: 'tabs.tabs2.deep', params: {} } ] }
+    });
+    expect(_.map($deepStateRedirect.getHistory('p9', { param: "1" }), 'state')).toEqual(['p9.child3', 'p9.child2']);
+    expect(_.map($deepStateRedirect.getHistory('tabs.tabs2'), 'state')).toEqual(['tabs.tabs2.deep.nest']);
+    $deepStateRedirect.popHistory('p9', { param: "1" });
+    testGo("p9", undefined, { params: { param: "1" }, redirect: 'p9.child2' });
+  });
+
+  it("should not redirect to persisted entries whose states don't exist or whose params don't match", function() {
+    inject$({
+      'deleted': { '{}': [ { state: 'deleted.child', params: {} } ] },
+      'tabs.tabs1': { '{}': [ { state: 'tabs.tabs1.deleted', params: {} } ] },
+      'tabs.tabs2': { '{}': [ { state: 'other', params: {} } ] },
+      'p1': {
+        '{"param1":"1"}': [ { state: 'p1.child', params: { param1: "1", param2: "2", removed: "3" } } ],
+        '{"param1":"2"}': [ { state: 'p1.child', params: { param1: "1", param2: "2" } } ]
+      }
+    });
+    expect($deepStateRedirect.getRedirect('tabs.tabs1')).toBeUndefined();
+    expect($deepStateRedirect.getRedirect('tabs.tabs2')).toBeUndefined();
+    expect($deepStateRedirect.getRedirect('p1', { param1: "1" })).toBeUndefined();
+    expect($deepStateRedirect.getRedirect('p1', { param1: "2" })).toBeUndefined();
+    expect($state.get('deleted')).toBeNull();
+  });
+
+  it("should keep persisted entries for future states, and redirect once they are registered", function() {
+    module('ct.ui.router.extras.future', function($futureStateProvider) {
+      $futureStateProvider.futureState({ name: 'lazy', type: 'lazy' });
+      $futureStateProvider.futureState({ name: 'tabs.tabs1.lazy', type: 'lazy' });
+    });
+    inject$({
+      'lazy': { '{}': [ { state: 'lazy.child', params: {} } ] },
+      'tabs.tabs1': { '{}': [ { state: 'tabs.tabs1.lazy', params: {} } ] }
+    });
+    testGo("tabs.tabs2.deep.nest");
+    expect(saved[0].substates['lazy']).toEqual({ '{}': [ { state: 'lazy.child', params: {} } ] });
+    expect(saved[0].substates['tabs.tabs1']).toEqual({ '{}': [ { state: 'tabs.tabs1.lazy', params: {} } ] });
+
+    _stateProvider.state('lazy', { dsr: true });
+    _stateProvider.state('lazy.child', { });
+    _stateProvider.state('tabs.tabs1.lazy', { });
+    testGo("lazy", undefined, { redirect: 'lazy.child' });
+    testGo("tabs.tabs1", undefined, { redirect: 'tabs.tabs1.lazy' });
+  });
+
+  it("should drop persisted entries for states which were removed", function() {
+    module('ct.ui.router.extras.future', function($futureStateProvider) {
+      $futureStateProvider.futureState({ name: 'tabs.tabs1.lazy', type: 'lazy' });
+    });
+    inject$({
+      'removed': { '{}': [ { state: 'removed.child', params: {} } ] },
+      'tabs.tabs1': { '{}': [ { state: 'tabs.tabs1.removed', params: {} }, { state: 'tabs.tabs1.lazy', params: {} } ] }
+    });
+    testGo("tabs.tabs2.deep.nest");
+    expect(saved[0].substates['removed']).toBeUndefined();
+    expect(saved[0].substates['tabs.tabs1']).toEqual({ '{}': [ { state: 'tabs.tabs1.lazy', params: {} } ] });
+  });
+
+  it("should save a newer substate instead of an unresolved persisted entry", function() {
+    module('ct.ui.router.extras.future', function($futureStateProvider) {
+      $futureStateProvider.futureState({ name: 'tabs.tabs1.lazy', type: 'lazy' });
+    });
+    inject$({ 'tabs.tabs1': { '{}': [ { state: 'tabs.tabs1.lazy', params: {} } ] } });
+    testGo("tabs.tabs1.deep");
+    expect(saved[0].substates['tabs.tabs1']).toEqual({ '{}': [ { state: 'tabs.tabs1.deep', params: {} } ] });
+    _stateProvider.state('tabs.tabs1.lazy', { });
+    testGo("tabs.tabs1", undefined, { redirect: 'tabs.tabs1.deep' });
+  });
+
+  it("should accept an injectable adapter, which may load the last substates asynchronously", function() {
+    var deferred;
+    module(function($deepStateRedirectProvider) {
+      $deepStateRedirectProvider.persistence([ '$q', function($q) {
+        return { load: function() { deferred = $q.defer(); return deferred.promise; }, save: angular.noop };
+      } ]);
+    });
+    inject$();
+    expect($deepStateRedirect.getRedirect('tabs.tabs2')).toBeUndefined();
+    deferred.resolve({ partition: "", substates: { 'tabs.tabs2': { '{}': [ { state: 'tabs.tabs2.deep.nest', params: {} } ] } } });
+    $q.flush();
+    expect($deepStateRedirect.getRedirect('tabs.tabs2')).toEqual({ state: 'tabs.tabs2.deep.nest', params: {} });
+  });
+});
+
+describe('deepStateRedirect built in persistence adapters', function () {
+  var key = "ct.ui.router.extras.dsr.lastSubstate";
+
+  beforeEach(module('ct.ui.router.extras.dsr', function ($stateProvider, $urlRouterProvider, $deepStateRedirectProvider) {
+    $urlRouterProvider.otherwise("/");
+    var newStates = getDSRStates();
+    dsrReset(newStates);
+    angular.forEach(newStates, function(state) { $stateProvider.state(state); });
+    $deepStateRedirectProvider.persistence('sessionStorage');
+  }));
+
+  afterEach(function() {
+    window.sessionStorage.removeItem(key);
+  });
+
+  it("should save to and load from sessionStorage", function() {
+    window.sessionStorage.setItem(key, angular.toJson({ partition: "", substates: { 'tabs.tabs1': { '{}': [ { state: 'tabs.tabs1.deep', params: {} } ] } } }));
+    inject(function($injector) {
+      $state = $injector.get('$state');
+      $q = $injector.get('$q');
+    });
+    testGo("tabs.tabs1", undefined, { redirect: 'tabs.tabs1.deep' });
+    testGo("tabs.tabs2.deep.nest");
+    var stored = angular.fromJson(window.sessionStorage.getItem(key));
+    expect(stored.substates['tabs.tabs1']['{}'][0].state).toBe('tabs.tabs1.deep');
+    expect(stored.substates['tabs.tabs2']['{}'][0].state).toBe('tabs.tabs2.deep.nest');
+  });
+});
+
+describe('deepStateRedirect partitions', function () {
+  var org, saved;
+
+  beforeEach(module('ct.ui.router.extras.dsr', function ($stateProvider, $urlRouterProvider, $deepStateRedirectProvider, $provide) {
+    $urlRouterProvider.otherwise("/");
+    var newStates = getDSRStates();
+    dsrReset(newStates);
+    angular.forEach(newStates, function(state) { $stateProvider.state(state); });
+
+    org = "A";
+    saved = {};
+    $provide.value('currentOrg', function() { return org; });
+    $deepStateRedirectProvider.partitionKey([ 'currentOrg', function(currentOrg) { return currentOrg(); } ]);
+    $deepStateRedirectProvider.persistence({
+      load: function(partition) {
+        return partition === "C" ? { partition: "C", substates: { 'tabs.tabs1': { '{}': [ { state: 'tabs.tabs1.deep', params: {} } ] } } } : undefined;
+      },
+      save: function(persisted, partition) { saved[partition] = angular.copy(persisted); }
+    });
+  }));
+
+  beforeEach(inject(function($injector) {
+    $get = $injector.get;
+    $state = $get('$state');
+    $q = $get('$q');
+    $deepStateRedirect = $get('$deepStateRedirect');
+  }));
+
+  it("should remember the last substates separately for each partition", function() {
+    testGo("tabs.tabs2.deep.nest");
+    testGo("other");
+    org = "B";
+    expect($deepStateRedirect.getPartition()).toBe("B");
+    expect($deepStateRedirect.getRedirect('tabs.tabs2')).toBeUndefined();
+    testGo("tabs.tabs2");
+    testGo("tabs.tabs2.deep");
+    testGo("other");
+    org = "A";
+    testGo("tabs.tabs2", undefined, { redirect: 'tabs.tabs2.deep.nest' });
+    org = "B";
+    testGo("other");
+    testGo("tabs.tabs2", undefined, { redirect: 'tabs.tabs2.deep' });
+  });
+
+  it("should reset only the last substates of the active partition", function() {
+    testGo("tabs.tabs2.deep.nest");
+    org = "B";
+    testGo("tabs.tabs1.deep");
+    $deepStateRedirect.reset();
+    expect($deepStateRedirect.getRedirect('tabs.tabs1')).toBeUndefined();
+    org = "A";
+    expect($deepStateRedirect.getRedirect('tabs.tabs2')).toEqual({ state: 'tabs.tabs2.deep.nest', params: {} });
+  });
+
+  it("should clear a single partition", function() {
+    testGo("tabs.tabs2.deep.nest");
+    org = "B";
+    testGo("tabs.tabs1.deep");
+    $deepStateRedirect.clearPartition("A");
+    expect(saved.A).toEqual({ partition: "A", substates: {} });
+    expect($deepStateRedirect.getRedirect('tabs.tabs1')).toEqual({ state: 'tabs.tabs1.deep', params: {} });
+    org = "A";
+    expect($deepStateRedirect.getRedirect('tabs.tabs2')).toBeUndefined();
+  });
+
+  it("should start the active partition over when it is cleared, even while a redirect is pending", inject(function($rootScope) {
+    var cleared = false;
+    p9ResolveFails = false;
+    testGo("p9.child2", undefined, { params: { param: "1" } });
+    testGo("p9.record", undefined, { params: { param: "1" } });
+    testGo("other");
+    p9ResolveFails = true;
+    $rootScope.$on("$stateChangeStart", function(event, toState) {
+      if (toState.name !== 'p9.record' || cleared) return;
+      cleared = true;
+      $deepStateRedirect.clearPartition("A");
+    });
+    testGo("p9", undefined, { params: { param: "1" }, redirect: 'p9.child1' });
+    expect($deepStateRedirect.getHistory('p9', { param: "1" })).toEqual([ { state: 'p9.child1', params: { param: "1" } } ]);
+    expect(saved.A.substates['p9']).toEqual({ '{"param":"1"}': [ { state: 'p9.child1', params: { param: "1" } } ] });
+  }));
+
+  it("should persist and load the last substates of each partition", function() {
+    testGo("tabs.tabs2.deep.nest");
+    org = "B";
+    testGo("tabs.tabs1.deep");
+    expect(saved.A.substates['tabs.tabs2']['{}'][0].state).toBe('tabs.tabs2.deep.nest');
+    expect(saved.B.substates['tabs.tabs1']['{}'][0].state).toBe('tabs.tabs1.deep');
+    expect(saved.B.substates['tabs.tabs2']).toEqual({});
+    org = "C";
+    testGo("tabs.tabs1", undefined, { redirect: 'tabs.tabs1.deep' });
+  });
+});
+
+describe('deepStateRedirect partitions persisted by an adapter which ignores the partition', function () {
+  var org, record;
+
+  beforeEach(module('ct.ui.router.extras.dsr', function ($stateProvider, $urlRouterProvider, $deepStateRedirectProvider, $provide) {
+    $urlRouterProvider.otherwise("/");
+    var newStates = getDSRStates();
+    dsrReset(newStates);
+    angular.forEach(newStates, function(state) { $stateProvider.state(state); });
+
+    org = "A";
+    record = undefined;
+    $provide.value('currentOrg', function() { return org; });
+    $deepStateRedirectProvider.partitionKey([ 'currentOrg', function(currentOrg) { return currentOrg(); } ]);
+    // A single record, which holds whatever was saved last
+    $deepStateRedirectProvider.persistence({
+      load: function() { return angular.copy(record); },
+      save: function(persisted) { record = angular.copy(persisted); }
+    });
+  }));
+
+  beforeEach(inject(function($injector) {
+    $get = $injector.get;
+    $state = $get('$state');
+    $q = $get('$q');
+    $deepStateRedirect = $get('$deepStateRedirect');
+  }));
+
+  it("should not load the substates of one partition into another", function() {
+    testGo("tabs.tabs2.deep.nest");
+    expect(record.partition).toBe("A");
+    org = "B";
+    expect($deepStateRedirect.getRedirect('tabs.tabs2')).toBeUndefined();
+    testGo("tabs.tabs2");
+    expect(record).toEqual({ partition: "B", substates: jasmine.any(Object) });
+    expect(record.substates['tabs.tabs2']['{}'][0].state).toBe('tabs.tabs2');
+  });
 });
@@ -567,6 +567,1334 @@ describe('stickyState', function () {
     });
   });
 
+  describe("resetAll()", function() {
+    beforeEach(function() {
+      ssReset(getNestedStickyStates(), _stateProvider);
+      testGo('A._1.__1.B.___1');
+      testGo('A._1.__1.B.___2');
+      testGo('A._2');
+      testGo('inherit.one', undefined, { params: { id: "1" } });
+      testGo('inherit.two', undefined, { inherit: true });
+      resetTransitionLog();
+    });
+
+    function inactiveNames() {
+      return _.map($stickyState.getInactiveStates(), 'name').sort();
+    }
+
+    it("should exit every inactive state under the parent, and return them", function() {
+      var exited = $stickyState.resetAll('A._1');
+      expect(_.map(exited, 'name').sort()).toEqual(['A._1.__1', 'A._1.__1.B', 'A._1.__1.B.___1', 'A._1.__1.B.___2']);
+      expect(inactiveNames()).toEqual(['A', 'A._1', 'A._2', 'inherit.one']);
+    });
+
+    it("should exit the inactive states matching the predicate, and their inactive descendants", function() {
+      var exited = $stickyState.resetAll(function(state) { return state.name === 'A._1'; });
+      expect(_.map(exited, 'name').sort()).toEqual(['A._1', 'A._1.__1', 'A._1.__1.B', 'A._1.__1.B.___1', 'A._1.__1.B.___2']);
+      expect(inactiveNames()).toEqual(['A', 'A._2', 'inherit.one']);
+    });
+
+    it("should pass the state params to the predicate", function() {
+      var exited = $stickyState.resetAll('inherit', function(state, params) { return params.id === "1"; });
+      expect(_.map(exited, 'name')).toEqual(['inherit.one']);
+      expect(tLog.exited).toEqual(['inherit.one']);
+    });
+
+    it("should return an empty array when no states match", function() {
+      expect($stickyState.resetAll('A._3')).toEqual([]);
+      expect($stickyState.resetAll('DOESNTEXIST')).toEqual([]);
+      expect(inactiveNames().length).toBe(8);
+    });
+  });
+
+  describe("maxInactiveStates", function() {
+    beforeEach(function() {
+      ssReset(getSimpleStates(), _stateProvider);
+    });
+
+    it("should exit the least recently inactivated sticky state when the limit is exceeded", function() {
+      _stickyStateProvider.maxInactiveStates(1);
+      testGo('A._1', { entered: ['A', 'A._1'] });
+      testGo('A._2', { inactivated: 'A._1', entered: 'A._2' });
+      testGo('A._3', { inactivated: 'A._2', entered: 'A._3', exited: 'A._1' });
+      expect(_.map($stickyState.getInactiveStates(), 'name')).toEqual(['A._2']);
+      testGo('A._2', { inactivated: 'A._3', reactivated: 'A._2' });
+      expect(_.map($stickyState.getInactiveStates(), 'name')).toEqual(['A._3']);
+    });
+
+    it("should exit the inactive descendants of the evicted sticky state", function() {
+      _stickyStateProvider.maxInactiveStates(1);
+      testGo('A._2.__1', { entered: ['A', 'A._2', 'A._2.__1'] });
+      testGo('A._1', { inactivated: ['A._2.__1', 'A._2'], entered: 'A._1' });
+      testGo('A._3', { inactivated: 'A._1', entered: 'A._3', exited: ['A._2.__1', 'A._2'] });
+    });
+
+    it("should be overridden by the sticky state's stickyMaxInactive property", function() {
+      _stickyStateProvider.maxInactiveStates(1);
+      $state.get('A._1').stickyMaxInactive = 2;
+      testGo('A._1', { entered: ['A', 'A._1'] });
+      testGo('A._2', { inactivated: 'A._1', entered: 'A._2' });
+      testGo('A._3', { inactivated: 'A._2', entered: 'A._3' });
+      expect(_.map($stickyState.getInactiveStates(), 'name')).toEqual(['A._1', 'A._2']);
+      testGo('main', { exited: ['A._3', 'A._1', 'A._2', 'A'], entered: 'main' });
+    });
+
+    it("should count only the topmost inactive sticky state of each tree", function() {
+      ssReset({ 'A._1.s1': { sticky: true, views: { 's1@A._1': {} } }, 'A._1.s2': { sticky: true, views: { 's2@A._1': {} } } }, _stateProvider);
+      _stickyStateProvider.maxInactiveStates(1);
+      testGo('A._1.s1', { entered: ['A', 'A._1', 'A._1.s1'] });
+      testGo('A._1.s2', { inactivated: 'A._1.s1', entered: 'A._1.s2' });
+      testGo('A._2', { inactivated: ['A._1.s2', 'A._1'], entered: 'A._2' });
+      expect(_.map($stickyState.getInactiveStates(), 'name').sort()).toEqual(['A._1', 'A._1.s1', 'A._1.s2']);
+      testGo('A._3', { inactivated: 'A._2', entered: 'A._3', exited: ['A._1.s2', 'A._1.s1', 'A._1'] });
+      expect(_.map($stickyState.getInactiveStates(), 'name')).toEqual(['A._2']);
+    });
+
+    it("should be reported by previewTransition()", function() {
+      _stickyStateProvider.maxInactiveStates(1);
+      testGo('A._1', { entered: ['A', 'A._1'] });
+      testGo('A._2', { inactivated: 'A._1', entered: 'A._2' });
+      var preview = $stickyState.previewTransition('A._3');
+      expect(_.map(preview.orphans, 'name')).toEqual(['A._1']);
+      expect(_.map(preview.inactives, 'name')).toEqual(['A._2']);
+    });
+
+    it("should exit a sticky state instead of inactivating it when the limit is 0", function() {
+      _stickyStateProvider.maxInactiveStates(0);
+      testGo('A._1', { entered: ['A', 'A._1'] });
+      testGo('A._2', { exited: 'A._1', entered: 'A._2' });
+      expect($stickyState.getInactiveStates()).toEqual([]);
+    });
+
+    it("should not exit inactive states when no limit is set", function() {
+      testGo('A._1', { entered: ['A', 'A._1'] });
+      testGo('A._2', { inactivated: 'A._1', entered: 'A._2' });
+      testGo('A._3', { inactivated: 'A._2', entered: 'A._3' });
+      expect($stickyState.getInactiveStates().length).toBe(2);
+    });
+  });
+
+  describe("sticky groups", function() {
+    beforeEach(function() {
+      var newStates = {};
+      newStates['main'] = {};
+      newStates['A'] = {};
+      newStates['A.r1'] = { sticky: { group: 'reports', maxInactive: 2 }, views: { 'r1@A': {} } };
+      newStates['A.r1.sub'] = { };
+      newStates['A.r2'] = { sticky: { group: 'reports', maxInactive: 2 }, views: { 'r2@A': {} } };
+      newStates['A.r3'] = { sticky: { group: 'reports', maxInactive: 2 }, views: { 'r3@A': {} } };
+      newStates['A.r4'] = { sticky: { group: 'reports', maxInactive: 2 }, views: { 'r4@A': {} } };
+      newStates['A.other'] = { sticky: true, views: { 'other@A': {} } };
+      newStates['A.wizard'] = { sticky: { group: 'wizard', maxInactive: 0 }, views: { 'wizard@A': {} } };
+      ssReset(newStates, _stateProvider);
+    });
+
+    function inactiveNames() {
+      return _.map($stickyState.getInactiveStates(), 'name').sort();
+    }
+
+    it("should exit the least recently inactivated group member when maxInactive is exceeded", function() {
+      testGo('A.r1', { entered: ['A', 'A.r1'] });
+      testGo('A.r2', { inactivated: 'A.r1', entered: 'A.r2' });
+      testGo('A.r3', { inactivated: 'A.r2', entered: 'A.r3' });
+      testGo('A.r4', { inactivated: 'A.r3', entered: 'A.r4', exited: 'A.r1' });
+      expect(inactiveNames()).toEqual(['A.r2', 'A.r3']);
+    });
+
+    it("should exit the inactive descendants of the exited group member", function() {
+      testGo('A.r1.sub', { entered: ['A', 'A.r1', 'A.r1.sub'] });
+      testGo('A.r2', { inactivated: ['A.r1.sub', 'A.r1'], entered: 'A.r2' });
+      testGo('A.r3', { inactivated: 'A.r2', entered: 'A.r3' });
+      testGo('A.r4', { inactivated: 'A.r3', entered: 'A.r4', exited: ['A.r1.sub', 'A.r1'] });
+      expect(inactiveNames()).toEqual(['A.r2', 'A.r3']);
+    });
+
+    it("should count a reactivated group member as the most recently inactivated", function() {
+      testGo('A.r1', { entered: ['A', 'A.r1'] });
+      testGo('A.r2', { inactivated: 'A.r1', entered: 'A.r2' });
+      testGo('A.r1', { inactivated: 'A.r2', reactivated: 'A.r1' });
+      testGo('A.r3', { inactivated: 'A.r1', entered: 'A.r3' });
+      testGo('A.r4', { inactivated: 'A.r3', entered: 'A.r4', exited: 'A.r2' });
+      expect(inactiveNames()).toEqual(['A.r1', 'A.r3']);
+    });
+
+    it("should not affect sticky siblings outside the group", function() {
+      testGo('A.other', { entered: ['A', 'A.other'] });
+      testGo('A.r1', { inactivated: 'A.other', entered: 'A.r1' });
+      testGo('A.r2', { inactivated: 'A.r1', entered: 'A.r2' });
+      testGo('A.r3', { inactivated: 'A.r2', entered: 'A.r3' });
+      testGo('A.r4', { inactivated: 'A.r3', entered: 'A.r4', exited: 'A.r1' });
+      expect(inactiveNames()).toEqual(['A.other', 'A.r2', 'A.r3']);
+    });
+
+    it("should exit a group member instead of inactivating it when maxInactive is 0", function() {
+      testGo('A.wizard', { entered: ['A', 'A.wizard'] });
+      testGo('A.r1', { exited: 'A.wizard', entered: 'A.r1' });
+      expect(inactiveNames()).toEqual([]);
+    });
+
+    it("should be reported by previewTransition()", function() {
+      testGo('A.r1', { entered: ['A', 'A.r1'] });
+      testGo('A.r2', { inactivated: 'A.r1', entered: 'A.r2' });
+      testGo('A.r3', { inactivated: 'A.r2', entered: 'A.r3' });
+      var preview = $stickyState.previewTransition('A.r4');
+      expect(_.map(preview.orphans, 'name')).toEqual(['A.r1']);
+      expect(_.map(preview.inactives, 'name').sort()).toEqual(['A.r2', 'A.r3']);
+    });
+  });
+
+  describe("sticky predicate", function() {
+    var pristine, invocations;
+    beforeEach(function() {
+      pristine = false; invocations = [];
+      var newStates = {};
+      newStates['main'] = {};
+      newStates['A'] = {};
+      newStates['A.logout'] = {};
+      newStates['A.form'] = {
+        sticky: function ($fromState, $fromParams, $toState, $toParams, form) {
+          invocations.push({ from: $fromState.name, fromParams: $fromParams, to: $toState.name, toParams: $toParams, form: form });
+          return !pristine && $toState.name !== 'A.logout';
+        },
+        url: '/form/:id', views: { 'form@A': {} },
+        resolve: { form: function() { return "theform"; } }
+      };
+      newStates['A.form.child'] = {};
+      newStates['A.list'] = { sticky: [ '$toState', function ($toState) { return $toState.name !== 'A.form'; } ], views: { 'list@A': {} } };
+      newStates['A.other'] = { sticky: true, views: { 'other@A': {} } };
+      ssReset(newStates, _stateProvider);
+    });
+
+    it("should inactivate the state when the predicate returns true", function() {
+      testGo('A.form', { entered: ['A', 'A.form'] }, { params: { id: '5' } });
+      testGo('A.other', { inactivated: 'A.form', entered: 'A.other' });
+      testGo('A.form', { inactivated: 'A.other', reactivated: 'A.form' }, { params: { id: '5' } });
+    });
+
+    it("should exit the state and its descendants when the predicate returns false", function() {
+      pristine = true;
+      testGo('A.form.child', { entered: ['A', 'A.form', 'A.form.child'] }, { params: { id: '5' } });
+      testGo('A.other', { exited: ['A.form.child', 'A.form'], entered: 'A.other' });
+      expect($stickyState.getInactiveStates()).toEqual([]);
+    });
+
+    it("should be invoked with the from/to states and params, and the state's resolves", function() {
+      testGo('A.form', { entered: ['A', 'A.form'] }, { params: { id: '6' } });
+      testGo('A.other', { inactivated: 'A.form', entered: 'A.other' });
+      expect(invocations.length).toBe(1);
+      expect(invocations[0].from).toBe('A.form');
+      expect(invocations[0].fromParams.id).toBe('6');
+      expect(invocations[0].to).toBe('A.other');
+      expect(invocations[0].toParams).toBeDefined();
+      expect(invocations[0].form).toBe('theform');
+    });
+
+    it("should decide each time the state is exited", function() {
+      testGo('A.form', { entered: ['A', 'A.form'] }, { params: { id: '5' } });
+      testGo('A.logout', { exited: 'A.form', entered: 'A.logout' });
+      testGo('A.form', { exited: 'A.logout', entered: 'A.form' }, { params: { id: '5' } });
+      testGo('A.other', { inactivated: 'A.form', entered: 'A.other' });
+    });
+
+    it("should accept the array annotated injectable syntax", function() {
+      testGo('A.list', { entered: ['A', 'A.list'] });
+      testGo('A.other', { inactivated: 'A.list', entered: 'A.other' });
+      testGo('A.list', { inactivated: 'A.other', reactivated: 'A.list' });
+      testGo('A.form', { exited: 'A.list', entered: 'A.form' }, { params: { id: '5' } });
+    });
+  });
+
+  describe("inactiveTtl", function() {
+    beforeEach(function() {
+      ssReset(getSimpleStates(), _stateProvider);
+      jasmine.clock().install();
+    });
+
+    afterEach(function() {
+      jasmine.clock().uninstall();
+    });
+
+    it("should exit a sticky state which has been inactive longer than the TTL", function() {
+      _stickyStateProvider.inactiveTtl(1000);
+      testGo('A._1', { entered: ['A', 'A._1'] });
+      testGo('A._2', { inactivated: 'A._1', entered: 'A._2' });
+      jasmine.clock().tick(999);
+      expect($stickyState.getInactiveStates().length).toBe(1);
+      jasmine.clock().tick(1);
+      expect(tLog.exited).toEqual(['A._1']);
+      expect($stickyState.getInactiveStates().length).toBe(0);
+      expect($state.get('A._1').status).toBe('exited');
+    });
+
+    it("should broadcast $stickyStateExpired", inject(function($rootScope) {
+      var expired = [];
+      $rootScope.$on("$stickyStateExpired", function(evt, state, params) { expired.push(state.name); });
+      _stickyStateProvider.inactiveTtl(1000);
+      testGo('A._1');
+      testGo('A._2');
+      jasmine.clock().tick(1000);
+      expect(expired).toEqual(['A._1']);
+    }));
+
+    it("should not exit a sticky state which was reactivated before the TTL elapsed", function() {
+      _stickyStateProvider.inactiveTtl(1000);
+      testGo('A._1', { entered: ['A', 'A._1'] });
+      testGo('A._2', { inactivated: 'A._1', entered: 'A._2' });
+      jasmine.clock().tick(500);
+      testGo('A._1', { inactivated: 'A._2', reactivated: 'A._1' });
+      jasmine.clock().tick(1000);
+      expect(tLog.exited).toEqual(['A._2']);
+      expect($state.current.name).toBe('A._1');
+    });
+
+    it("should be overridden by the sticky state's stickyTtl property", function() {
+      _stickyStateProvider.inactiveTtl(1000);
+      $state.get('A._1').stickyTtl = 5000;
+      testGo('A._1');
+      testGo('A._2');
+      testGo('A._3');
+      jasmine.clock().tick(1000);
+      expect(tLog.exited).toEqual(['A._2']);
+      jasmine.clock().tick(4000);
+      expect(tLog.exited).toEqual(['A._2', 'A._1']);
+    });
+
+    it("should not expire inactive states when no TTL is set", function() {
+      testGo('A._1');
+      testGo('A._2');
+      jasmine.clock().tick(24 * 60 * 60 * 1000);
+      expect($stickyState.getInactiveStates().length).toBe(1);
+    });
+
+    it("should not leave a $timeout pending while a sticky state is inactive", inject(function($timeout) {
+      _stickyStateProvider.inactiveTtl(1000);
+      testGo('A._1');
+      testGo('A._2');
+      $timeout.flush(0);
+      $timeout.verifyNoPendingTasks();
+    }));
+  });
+
+  describe("lifecycle events", function() {
+    var events;
+    beforeEach(inject(function($rootScope) {
+      ssReset(getNestedStickyStates(), _stateProvider);
+      events = [];
+      angular.forEach(['$stickyStateInactivated', '$stickyStateReactivated', '$stickyStateExited'], function(eventName) {
+        $rootScope.$on(eventName, function(evt, state, params) {
+          events.push(eventName.replace('$stickyState', '') + ":" + state.name);
+        });
+      });
+    }));
+
+    it("should broadcast $stickyStateInactivated and $stickyStateReactivated", function() {
+      testGo('A._1');
+      testGo('A._2');
+      expect(events).toEqual(['Inactivated:A._1']);
+      testGo('A._1');
+      expect(events).toEqual(['Inactivated:A._1', 'Inactivated:A._2', 'Reactivated:A._1']);
+    });
+
+    it("should broadcast the state's params", inject(function($rootScope) {
+      var inactivatedParams;
+      $rootScope.$on('$stickyStateInactivated', function(evt, state, params) { inactivatedParams = params; });
+      testGo('inherit.one', undefined, { params: { id: "1" } });
+      testGo('inherit.two', undefined, { inherit: true });
+      expect(inactivatedParams).toEqual({ id: "1" });
+    }));
+
+    it("should broadcast $stickyStateExited for orphaned inactive states", function() {
+      testGo('A._3.__1');
+      testGo('A._2');
+      events = [];
+      resetTransitionLog();
+      testGo('A._3', { reactivated: "A._3", inactivated: "A._2", exited: "A._3.__1" });
+      expect(events).toEqual(['Exited:A._3.__1', 'Inactivated:A._2', 'Reactivated:A._3']);
+    });
+
+    it("should broadcast $stickyStateExited for exited sticky states", function() {
+      testGo('A._1');
+      testGo('A._2');
+      events = [];
+      testGo('A');
+      expect(events.sort()).toEqual(['Exited:A._1', 'Exited:A._2']);
+    });
+
+    it("should broadcast $stickyStateExited for reset() states", function() {
+      testGo('A._1');
+      testGo('A._2');
+      events = [];
+      $stickyState.reset('A._1');
+      expect(events).toEqual(['Exited:A._1']);
+    });
+
+    it("should not broadcast $stickyStateExited for non-sticky states which were not inactive", function() {
+      testGo('A._1.__1');
+      testGo('A._1.__2');
+      expect(events).toEqual([]);
+    });
+  });
+
+  describe("snapshot() and restore()", function() {
+    var snapshot;
+    beforeEach(function() {
+      ssReset(getSimpleStates(), _stateProvider);
+      testGo('A._1');
+      testGo('A._2.__1');
+      testGo('A._3');
+      snapshot = $stickyState.snapshot();
+    });
+
+    function inactiveNames() {
+      return _.map($stickyState.getInactiveStates(), 'name').sort();
+    }
+
+    it("should describe the inactive states and their params, least recently inactivated first", function() {
+      expect(snapshot).toEqual([
+        { name: 'A._1', params: {} }, { name: 'A._2', params: {} }, { name: 'A._2.__1', params: {} }
+      ]);
+      expect(angular.fromJson(angular.toJson(snapshot))).toEqual(snapshot);
+    });
+
+    it("should re-create the inactive states without making them active", inject(function($rootScope) {
+      $stickyState.reset('*');
+      expect(inactiveNames()).toEqual([]);
+      var successEvents = 0, restored;
+      $rootScope.$on('$stateChangeSuccess', function() { successEvents++; });
+      $stickyState.restore(snapshot).then(function(states) { restored = _.map(states, 'name'); });
+      $q.flush();
+      expect($state.current.name).toBe('A._3');
+      expect(inactiveNames()).toEqual(['A._1', 'A._2', 'A._2.__1']);
+      expect(restored).toEqual(['A._1', 'A._2', 'A._2.__1']);
+      expect(successEvents).toBe(0);
+      expect($stickyState.snapshot()).toEqual(snapshot);
+    }));
+
+    it("should not re-create the active state", function() {
+      $stickyState.reset('*');
+      testGo('A._1');
+      $stickyState.restore(snapshot);
+      $q.flush();
+      expect($state.current.name).toBe('A._1');
+      expect(inactiveNames()).toEqual(['A._2', 'A._2.__1', 'A._3']);
+    });
+
+    it("should stop re-creating the inactive states when another transition is started", function() {
+      var deferred, error;
+      ssReset({ 'A._4': { sticky: true, resolve: { Y: function() { return deferred ? deferred.promise : "Y"; } } } }, _stateProvider);
+      $state.go('A._4');
+      $q.flush();
+      $state.go('A._3');
+      $q.flush();
+      snapshot = $stickyState.snapshot();
+      $stickyState.reset('*');
+      deferred = $q.defer();
+      $stickyState.restore(snapshot)['catch'](function(err) { error = err; });
+      $q.flush();
+      $state.go('A._1');
+      $q.flush();
+      deferred.resolve("Y");
+      $q.flush();
+      expect(error).toBeDefined();
+      expect($state.current.name).toBe('A._1');
+      expect(inactiveNames()).toEqual(['A._2', 'A._2.__1', 'A._3']);
+    });
+
+    it("should save snapshots using the storage adapter and restore from it", function() {
+      var saved;
+      _stickyStateProvider.snapshotStorage({
+        load: function() { return $q.when(saved); },
+        save: function(snapshot) { saved = snapshot; }
+      });
+      testGo('A._1');
+      var beforeReset = saved;
+      expect(beforeReset).toEqual([ { name: 'A._2', params: {} }, { name: 'A._2.__1', params: {} }, { name: 'A._3', params: {} } ]);
+      $stickyState.reset('*');
+      expect(saved).toEqual([]);
+      saved = beforeReset;
+      $stickyState.restore();
+      $q.flush();
+      expect(inactiveNames()).toEqual(['A._2', 'A._2.__1', 'A._3']);
+      _stickyStateProvider.snapshotStorage(null);
+    });
+
+    it("should have a built in sessionStorage adapter", inject(function($window) {
+      _stickyStateProvider.snapshotStorage('sessionStorage');
+      testGo('A._1');
+      var stored = $window.sessionStorage.getItem("ct.ui.router.extras.sticky.snapshot");
+      expect(angular.fromJson(stored)).toEqual($stickyState.snapshot());
+      $window.sessionStorage.clear();
+      _stickyStateProvider.snapshotStorage(null);
+    }));
+  });
+
+  describe("restore() before the initial transition", function() {
+    beforeEach(function() {
+      ssReset(getSimpleStates(), _stateProvider);
+    });
+
+    it("should re-create the inactive states once the initial transition is complete", function() {
+      var restored;
+      $stickyState.restore([ { name: 'A._1', params: {} }, { name: 'A._2', params: {} } ]).then(function(states) {
+        restored = _.map(states, 'name');
+      });
+      $q.flush();
+      expect(restored).toBeUndefined();
+      $state.go('A._3');
+      $q.flush();
+      expect($state.current.name).toBe('A._3');
+      expect(restored).toEqual(['A._1', 'A._2']);
+      expect(_.map($stickyState.getInactiveStates(), 'name').sort()).toEqual(['A._1', 'A._2']);
+    });
+
+    it("should reject if the initial transition fails, and wait for the next transition when called again", function() {
+      var error, restored;
+      ssReset({ 'A._4': { sticky: true, resolve: { Y: function() { return $q.reject("Y failed"); } } } }, _stateProvider);
+      $stickyState.restore([ { name: 'A._1', params: {} } ])['catch'](function(err) { error = err; });
+      $state.go('A._4');
+      $q.flush();
+      expect(error).toBe("Y failed");
+      $stickyState.restore([ { name: 'A._1', params: {} } ]).then(function(states) {
+        restored = _.map(states, 'name');
+      });
+      $q.flush();
+      expect(restored).toBeUndefined();
+      $state.go('A._3');
+      $q.flush();
+      expect(restored).toEqual(['A._1']);
+    });
+  });
+
+  describe("activateInBackground()", function() {
+    beforeEach(inject(function($compile, $rootScope) {
+      ssReset(getSimpleStates(), _stateProvider);
+      resetXResolve();
+      $compile(angular.element('<div ui-view></div>'))($rootScope);
+      testGo('A._1');
+      resetTransitionLog();
+    }));
+
+    it("should resolve the state, leaving it inactive", function() {
+      var result;
+      $stickyState.activateInBackground('A._3').then(function(state) { result = state; });
+      $q.flush();
+      expect(result).toBe($state.get('A._3'));
+      expect($state.current.name).toBe('A._1');
+      expect(tLog.entered).toEqual(['A._3']);
+      expect(tLog.inactivated).toEqual(['A._3']);
+      expect(tLog.reactivated).toEqual([]);
+      expect(_.map($stickyState.getInactiveStates(), 'name')).toEqual(['A._3']);
+      expect(resolveCount).toBe(1);
+    });
+
+    it("should not invoke the active state's hooks, or broadcast its lifecycle events", inject(function($rootScope) {
+      var events = [], beforeInactivateCalls = 0;
+      angular.forEach(['$stickyStateInactivated', '$stickyStateReactivated'], function(eventName) {
+        $rootScope.$on(eventName, function(evt, state) { events.push(eventName.replace('$stickyState', '') + ":" + state.name); });
+      });
+      $state.get('A._1').onBeforeInactivate = function() { beforeInactivateCalls++; return false; };
+      $stickyState.activateInBackground('A._3');
+      $q.flush();
+      expect(events).toEqual(['Inactivated:A._3']);
+      expect(beforeInactivateCalls).toBe(0);
+      expect($state.current.name).toBe('A._1');
+      expect($state.get('A._1').status).toBe('active');
+      expect($stickyState.getStats().length).toBe(1);
+    }));
+
+    it("should stop the visit when another transition is started, instead of returning to the active state", inject(function($rootScope) {
+      var deferred = $q.defer(), events = [], error;
+      ssReset({ 'A._4': { sticky: true, resolve: { Y: function() { return deferred.promise; } } } }, _stateProvider);
+      $rootScope.$on('$stickyStateInactivated', function(evt, state) { events.push(state.name); });
+      $stickyState.activateInBackground('A._4').catch(function(err) { error = err; });
+      $q.flush();
+      $state.go('A._2');
+      $q.flush();
+      deferred.resolve("Y");
+      $q.flush();
+      expect(error.message).toBe("transition superseded");
+      expect($state.current.name).toBe('A._2');
+      expect(tLog.entered).toEqual(['A._2']);
+      expect(tLog.inactivated).toEqual(['A._1']);
+      expect(events).toEqual(['A._1']);
+      expect($state.get('A._1').status).toBe('inactive');
+    }));
+
+    it("should not count the active state toward the limit of inactive states", function() {
+      _stickyStateProvider.maxInactiveStates(1);
+      $stickyState.activateInBackground('A._2');
+      $q.flush();
+      $stickyState.activateInBackground('A._3');
+      $q.flush();
+      expect(tLog.exited).toEqual(['A._2']);
+      expect(_.map($stickyState.getInactiveStates(), 'name')).toEqual(['A._3']);
+      expect($state.current.name).toBe('A._1');
+    });
+
+    it("should instantiate the state's views (at the latest, when ui-views next update)", function() {
+      $stickyState.activateInBackground('A._3');
+      $q.flush();
+      testGo('A._2');
+      expect($state.current.name).toBe('A._2');
+      expect(controllerInvokeCount).toBe(1);
+      expect(Xvalue).toBe(1);
+    });
+
+    it("should reactivate the state when it is entered", function() {
+      $stickyState.activateInBackground('A._3');
+      $q.flush();
+      resetTransitionLog();
+      testGo('A._3', { inactivated: 'A._1', reactivated: 'A._3' });
+      expect(resolveCount).toBe(1);
+      expect(controllerInvokeCount).toBe(1);
+    });
+
+    it("should reject, without leaving the active state, if the state can't be inactive", function() {
+      var error;
+      $stickyState.activateInBackground('main')['catch'](function(err) { error = err; });
+      $q.flush();
+      expect(error.message).toBe("State main could not be activated in the background");
+      expect($state.current.name).toBe('A._1');
+      expect(tLog.exited).toEqual([]);
+      expect(tLog.entered).toEqual([]);
+    });
+  });
+
+  describe("reload()", function() {
+    beforeEach(inject(function($compile, $rootScope) {
+      ssReset(getSimpleStates(), _stateProvider);
+      resetXResolve();
+      $compile(angular.element('<div ui-view></div>'))($rootScope);
+      testGo('A._3');
+      testGo('A._1');
+      resetTransitionLog();
+    }));
+
+    it("should re-run the resolves of the inactive state, leaving it inactive", function() {
+      var result, locals = $stickyState.getInactiveStates()[0].locals;
+      $stickyState.reload('A._3').then(function(state) { result = state; });
+      $q.flush();
+      expect(result).toBe($state.get('A._3'));
+      expect($state.current.name).toBe('A._1');
+      expect(resolveCount).toBe(2);
+      expect(tLog.exited).toEqual(['A._3']);
+      expect(tLog.entered).toEqual(['A._3']);
+      expect(_.map($stickyState.getInactiveStates(), 'name')).toEqual(['A._3']);
+      expect($stickyState.getInactiveStates()[0].locals).not.toBe(locals);
+      expect($stickyState.getInactiveStates()[0].locals.globals.X).toBe(2);
+    });
+
+    it("should render the reloaded views when the state is reactivated", function() {
+      $stickyState.reload('A._3');
+      $q.flush();
+      resetTransitionLog();
+      testGo('A._3', { inactivated: 'A._1', reactivated: 'A._3' });
+      expect(resolveCount).toBe(2);
+      expect(Xvalue).toBe(2);
+    });
+
+    it("should keep the inactive descendants on the path to the deepest inactive descendant", function() {
+      $state.go('A._2.__1');
+      $q.flush();
+      $state.go('A._1');
+      $q.flush();
+      resetTransitionLog();
+      $stickyState.reload('A._2');
+      $q.flush();
+      expect(tLog.exited).toEqual(['A._2.__1', 'A._2']);
+      expect(tLog.entered).toEqual(['A._2', 'A._2.__1']);
+      expect(_.map($stickyState.getInactiveStates(), 'name').sort()).toEqual(['A._2', 'A._2.__1', 'A._3']);
+      expect($state.current.name).toBe('A._1');
+    });
+
+    it("should stop reloading when another transition is started, instead of returning to the active state", function() {
+      var deferred, error;
+      ssReset({ 'A._4': { sticky: true, resolve: { Y: function() { return deferred ? deferred.promise : "Y"; } } } }, _stateProvider);
+      $state.go('A._4');
+      $q.flush();
+      $state.go('A._1');
+      $q.flush();
+      resetTransitionLog();
+      deferred = $q.defer();
+      $stickyState.reload('A._4')['catch'](function(err) { error = err; });
+      $q.flush();
+      $state.go('A._2');
+      $q.flush();
+      deferred.resolve("Y");
+      $q.flush();
+      expect(error).toBeDefined();
+      expect($state.current.name).toBe('A._2');
+      expect(tLog.exited).toEqual([]);
+      expect(tLog.entered).toEqual(['A._2']);
+      expect(tLog.inactivated).toEqual(['A._1']);
+      expect(_.map($stickyState.getInactiveStates(), 'name').sort()).toEqual(['A._1', 'A._3', 'A._4']);
+    });
+
+    it("should reject if the state isn't inactive", function() {
+      var errors = [];
+      function fail(err) { errors.push(err.message); }
+      $stickyState.reload('A._2')['catch'](fail);
+      $stickyState.reload('A._1')['catch'](fail);
+      $stickyState.reload('DOESNTEXIST')['catch'](fail);
+      $q.flush();
+      expect(errors).toEqual(["State A._2 is not inactive", "State A._1 is not inactive", "No such state: DOESNTEXIST"]);
+      expect(tLog.exited).toEqual([]);
+      expect(resolveCount).toBe(1);
+    });
+  });
+
+  describe("getStats()", function() {
+    beforeEach(function() {
+      ssReset(getSimpleStates(), _stateProvider);
+    });
+
+    function statsFor(name) {
+      return _.find($stickyState.getStats(), { name: name });
+    }
+
+    it("should report each inactive state", function() {
+      testGo('A._2.__1', { entered: ['A', 'A._2', 'A._2.__1'] });
+      var before = new Date().getTime();
+      testGo('A._1', { inactivated: ['A._2.__1', 'A._2'], entered: 'A._1' });
+      var stats = $stickyState.getStats();
+      expect(_.map(stats, 'name')).toEqual(['A._2', 'A._2.__1']);
+      expect(stats[0].params).toEqual({});
+      expect(stats[0].inactivatedAt).not.toBeLessThan(before);
+      expect(stats[0].inactivatedAt).not.toBeGreaterThan(new Date().getTime());
+      expect(stats[0].reactivations).toBe(0);
+      expect(stats[0].viewLocals).toBe(1);
+    });
+
+    it("should count the reactivations of a state until it is exited", function() {
+      testGo('A._1', { entered: ['A', 'A._1'] });
+      testGo('A._2', { inactivated: 'A._1', entered: 'A._2' });
+      testGo('A._1', { inactivated: 'A._2', reactivated: 'A._1' });
+      testGo('A._2', { inactivated: 'A._1', reactivated: 'A._2' });
+      testGo('A._1', { inactivated: 'A._2', reactivated: 'A._1' });
+      expect(statsFor('A._2').reactivations).toBe(1);
+      testGo('A._2', { inactivated: 'A._1', reactivated: 'A._2' });
+      expect(statsFor('A._1').reactivations).toBe(2);
+      $stickyState.reset('A._1');
+      testGo('A._1', { exited: 'A._1', entered: 'A._1', inactivated: 'A._2' });
+      expect(statsFor('A._2').reactivations).toBe(2);
+      testGo('A._3', { inactivated: 'A._1', entered: 'A._3' });
+      expect(statsFor('A._1').reactivations).toBe(0);
+    });
+
+    it("should return an empty array when there are no inactive states", function() {
+      testGo('A._1', { entered: ['A', 'A._1'] });
+      expect($stickyState.getStats()).toEqual([]);
+    });
+  });
+
+  describe("getStats() watcher counts", function() {
+    // The view content is registered using ui-view's "fill" directive, which was added in ui-router 0.2.10
+    if (!version || version >= 210) {
+      it("should count the watchers under each rendered view of an inactive state", inject(function($compile, $rootScope) {
+        var newStates = {};
+        newStates['A'] = { template: '<div ui-view="_1"></div><div ui-view="_2"></div>' };
+        newStates['A._1'] = { sticky: true, views: { '_1@A': { template: '<span>{{ a }}</span><b>{{ b }}</b><i ng-if="!hidden">{{ c }}</i>' } } };
+        newStates['A._2'] = { sticky: true, views: { '_2@A': { template: '<span>{{ a }}</span>' } } };
+        ssReset(newStates, _stateProvider);
+        var el = $compile('<div><div ui-view></div></div>')($rootScope);
+        testGo('A._1');
+        testGo('A._2');
+        expect($stickyState.getStats()[0].watchers).toEqual({ '_1@A': 4 });
+        el.remove();
+      }));
+    } else {
+      console.log("Skipping 'should count the watchers under each rendered view of an inactive state' because UI-Router version " + version + " < 210");
+    }
+  });
+
+  describe("transition trace", function() {
+    beforeEach(function() {
+      ssReset(getSimpleStates(), _stateProvider);
+    });
+
+    it("should record the tree changes, surrogate paths, inactives and orphans of each transition", function() {
+      _stickyStateProvider.traceSize(20);
+      testGo('A._2.__1', { entered: ['A', 'A._2', 'A._2.__1'] });
+      testGo('A._1', { inactivated: ['A._2.__1', 'A._2'], entered: 'A._1' });
+      testGo('A._2', { inactivated: 'A._1', reactivated: 'A._2', exited: 'A._2.__1' });
+
+      var trace = $stickyState.getTrace();
+      expect(trace.length).toBe(3);
+      expect(trace[1].from.name).toBe('A._2.__1');
+      expect(trace[1].to.name).toBe('A._1');
+      expect(trace[1].treeChanges).toEqual({
+        keep: 1,
+        retained: ['A'],
+        exiting: [ { name: 'A._2', type: 'inactivate' }, { name: 'A._2.__1', type: 'inactivate' } ],
+        entering: [ { name: 'A._1', type: 'enter' } ]
+      });
+      expect(trace[1].surrogateFromPath).toEqual([
+        { name: 'A', type: null }, { name: 'A._2', type: 'inactivate' }, { name: 'A._2.__1', type: 'inactivate' }
+      ]);
+      expect(trace[1].surrogateToPath).toEqual([ { name: 'A', type: null }, { name: 'A._1', type: null } ]);
+      expect(trace[1].inactivesBefore).toEqual([]);
+      expect(trace[1].inactivesAfter).toEqual(['A._2', 'A._2.__1']);
+      expect(trace[1].orphans).toEqual([]);
+
+      expect(trace[2].treeChanges.entering).toEqual([ { name: 'A._2', type: 'reactivate' } ]);
+      expect(trace[2].inactivesBefore).toEqual(['A._2', 'A._2.__1']);
+      expect(trace[2].inactivesAfter).toEqual(['A._1']);
+      expect(trace[2].orphans).toEqual(['A._2.__1']);
+      expect(_.map(trace[2].surrogateToPath, 'type')).toEqual([ null, 'reactivate_phase1', 'reactivate_phase2' ]);
+    });
+
+    it("should keep only the most recent traces", function() {
+      _stickyStateProvider.traceSize(2);
+      testGo('A._1', { entered: ['A', 'A._1'] });
+      testGo('A._2', { inactivated: 'A._1', entered: 'A._2' });
+      testGo('A._3', { inactivated: 'A._2', entered: 'A._3' });
+      expect(_.map($stickyState.getTrace(), 'to.name')).toEqual(['A._2', 'A._3']);
+    });
+
+    it("should not keep traces by default", function() {
+      expect(_stickyStateProvider.traceSize()).toBe(0);
+      testGo('A._1', { entered: ['A', 'A._1'] });
+      expect($stickyState.getTrace()).toEqual([]);
+    });
+
+    it("should not keep traces when the trace size is 0", function() {
+      _stickyStateProvider.traceSize(0);
+      testGo('A._1', { entered: ['A', 'A._1'] });
+      expect($stickyState.getTrace()).toEqual([]);
+    });
+
+    it("should pass each trace to the trace sinks until they are removed", function() {
+      var traces = [];
+      _stickyStateProvider.traceSize(20);
+      var removeSink = $stickyState.addTraceSink(function(trace) { traces.push(trace); });
+      testGo('A._1', { entered: ['A', 'A._1'] });
+      testGo('A._2', { inactivated: 'A._1', entered: 'A._2' });
+      expect(traces).toEqual($stickyState.getTrace());
+      removeSink();
+      testGo('A._1', { inactivated: 'A._2', reactivated: 'A._1' });
+      expect(traces.length).toBe(2);
+    });
+
+    it("should log the traces when debug is enabled", inject(function($log) {
+      _stickyStateProvider.enableDebug(true);
+      testGo('A._1', { entered: ['A', 'A._1'] });
+      testGo('A._2', { inactivated: 'A._1', entered: 'A._2' });
+      _stickyStateProvider.enableDebug(false);
+      var messages = _.map($log.debug.logs, function(args) { return args.join(" "); });
+      expect(messages).toContain("Transition will exit:   (A),INACTIVATE: A._1");
+      expect(messages).toContain("Transition will enter:  (A),ENTER: A._2");
+      expect(messages).toContain("SurrogateFromPath:  A,inactivate:A._1");
+    }));
+
+    it("should stop logging the traces when debug is disabled", inject(function($log) {
+      _stickyStateProvider.enableDebug(true);
+      testGo('A._1', { entered: ['A', 'A._1'] });
+      _stickyStateProvider.enableDebug(false);
+      var count = $log.debug.logs.length;
+      testGo('A._2', { inactivated: 'A._1', entered: 'A._2' });
+      expect($log.debug.logs.length).toBe(count);
+    }));
+  });
+
+  describe("previewTransition()", function() {
+    beforeEach(function() {
+      ssReset(getNestedStickyStates(), _stateProvider);
+      testGo('A._3.__1');
+      testGo('A._2');
+      resetTransitionLog();
+    });
+
+    function names(states) {
+      return _.map(states, 'name');
+    }
+
+    it("should describe the transition's sticky state changes", function() {
+      var preview = $stickyState.previewTransition('A._3');
+      expect(preview.keep).toBe(1);
+      expect(preview.exit.slice(preview.keep)).toEqual(['inactivate']);
+      expect(preview.enter.slice(preview.keep)).toEqual(['reactivate']);
+      expect(names(preview.inactives)).toEqual(['A._2']);
+      expect(names(preview.reactivatingStates)).toEqual(['A._3']);
+      expect(names(preview.orphans)).toEqual(['A._3.__1']);
+    });
+
+    it("should not change the inactive states, or the current state", function() {
+      var inactives = names($stickyState.getInactiveStates());
+      $stickyState.previewTransition('A._3');
+      $stickyState.previewTransition('aside');
+      expect(names($stickyState.getInactiveStates())).toEqual(inactives);
+      expect($state.current.name).toBe('A._2');
+      testGo('A._3', { reactivated: 'A._3', inactivated: 'A._2', exited: 'A._3.__1' });
+    });
+
+    it("should resolve relative state names", function() {
+      var preview = $stickyState.previewTransition('^._1');
+      expect(preview.enter.slice(preview.keep)).toEqual(['enter']);
+      expect(preview.exit.slice(preview.keep)).toEqual(['inactivate']);
+    });
+
+    it("should throw for an unknown state", function() {
+      expect(function() { $stickyState.previewTransition('DOESNTEXIST'); }).toThrow(new Error("No such state: DOESNTEXIST"));
+    });
+  });
+
+  describe("onBeforeInactivate", function() {
+    var verdict, hookParams;
+    beforeEach(function() {
+      verdict = hookParams = undefined;
+      var states = getSimpleStates();
+      states['A._1'].onBeforeInactivate = function($stateParams) {
+        hookParams = $stateParams;
+        return angular.isFunction(verdict) ? verdict() : verdict;
+      };
+      ssReset(states, _stateProvider);
+      testGo('A._1');
+      resetTransitionLog();
+    });
+
+    function goToA2() {
+      var result = {};
+      $state.go('A._2').then(function() { result.success = true; }, function(err) { result.error = err; });
+      $q.flush();
+      return result;
+    }
+
+    it("should be invoked with the state's locals, and inactivate the state if it doesn't veto", function() {
+      testGo('A._2', { inactivated: 'A._1', entered: 'A._2' });
+      expect(hookParams).toEqual({});
+    });
+
+    it("should cancel the transition when it returns false", function() {
+      verdict = false;
+      expect(goToA2().error.message).toBe("transition prevented");
+      expect($state.current.name).toBe('A._1');
+      expect(tLog.inactivated).toEqual([]);
+      expect(tLog.entered).toEqual([]);
+    });
+
+    it("should exit the state instead of inactivating it when it returns 'exit'", function() {
+      verdict = "exit";
+      testGo('A._2', { exited: 'A._1', entered: 'A._2' });
+      expect($stickyState.getInactiveStates()).toEqual([]);
+    });
+
+    it("should wait for a returned promise", function() {
+      var deferred = $q.defer();
+      verdict = function() { return deferred.promise; };
+      var result = goToA2();
+      expect($state.current.name).toBe('A._1');
+      deferred.resolve("exit");
+      $q.flush();
+      expect(result.success).toBe(true);
+      expect($state.current.name).toBe('A._2');
+      expect(tLog.exited).toEqual(['A._1']);
+    });
+
+    it("should cancel the transition when a returned promise is rejected", function() {
+      verdict = function() { return $q.reject("upload in progress"); };
+      expect(goToA2().error.message).toBe("transition prevented");
+      expect($state.current.name).toBe('A._1');
+      expect(tLog.inactivated).toEqual([]);
+    });
+
+    it("should drop the transition when another one was started while a returned promise was pending", function() {
+      var deferred = $q.defer();
+      verdict = function() { verdict = undefined; return deferred.promise; };
+      var result = goToA2();
+      testGo('A._3', { inactivated: 'A._1', entered: 'A._3' });
+      deferred.resolve(true);
+      $q.flush();
+      expect(result.error.message).toBe("transition superseded");
+      expect($state.current.name).toBe('A._3');
+      expect(tLog.entered).toEqual(['A._3']);
+    });
+
+    it("should revert the url when it cancels a transition started from the url", inject(function($location) {
+      ssReset({
+        'U': { url: '/u' },
+        'U._1': { sticky: true, url: '/1', views: { '_1@U': {} }, onBeforeInactivate: function() { return verdict; } },
+        'U._2': { sticky: true, url: '/2', views: { '_2@U': {} } }
+      }, _stateProvider);
+      $location.url('/u/1');
+      $q.flush();
+      expect($state.current.name).toBe('U._1');
+      verdict = false;
+      $location.url('/u/2');
+      $q.flush();
+      expect($state.current.name).toBe('U._1');
+      expect($location.url()).toBe('/u/1');
+    }));
+
+    it("should revert the url when a returned promise cancels a transition started from the url", inject(function($location) {
+      var deferred = $q.defer();
+      ssReset({
+        'U': { url: '/u' },
+        'U._1': { sticky: true, url: '/1', views: { '_1@U': {} }, onBeforeInactivate: function() { return verdict; } },
+        'U._2': { sticky: true, url: '/2', views: { '_2@U': {} } }
+      }, _stateProvider);
+      $location.url('/u/1');
+      $q.flush();
+      verdict = deferred.promise;
+      $location.url('/u/2');
+      $q.flush();
+      expect($location.url()).toBe('/u/2');
+      deferred.resolve(false);
+      $q.flush();
+      expect($state.current.name).toBe('U._1');
+      expect($location.url()).toBe('/u/1');
+    }));
+
+    it("should retry with the caller's options once a returned promise is settled", function() {
+      testGo('A._2');
+      resetTransitionLog();
+      testGo('A._1', { inactivated: 'A._2', reactivated: 'A._1' });
+      resetTransitionLog();
+      var deferred = $q.defer(), options = { reload: 'A._2' };
+      verdict = function() { return deferred.promise; };
+      $state.go('A._2', {}, options);
+      $q.flush();
+      deferred.resolve(true);
+      $q.flush();
+      expect(options).toEqual({ reload: 'A._2' });
+      expect($state.current.name).toBe('A._2');
+      expect(tLog.exited).toEqual(['A._2']);
+      expect(tLog.entered).toEqual(['A._2']);
+      expect(tLog.reactivated).toEqual([]);
+    });
+  });
+
+  describe("detached inactive views", function() {
+    var el, digests;
+    beforeEach(inject(function($compile, $rootScope) {
+      digests = {};
+      function view(id) {
+        return {
+          template: '<span id="' + id + '">{{ watched() }}</span>',
+          controller: function($scope) {
+            $scope.watched = function() { digests[id] = (digests[id] || 0) + 1; };
+          }
+        };
+      }
+      var newStates = {};
+      newStates['A'] = { template: '<div ui-view="_1"></div><div ui-view="_2"></div>' };
+      newStates['A._1'] = { sticky: true, stickyDetach: true, views: { '_1@A': view('one') } };
+      newStates['A._2'] = { sticky: true, views: { '_2@A': view('two') } };
+      ssReset(newStates, _stateProvider);
+      el = $compile('<div><div ui-view></div></div>')($rootScope);
+      angular.element(document.body).append(el);
+    }));
+
+    afterEach(function() {
+      el.remove();
+      _stickyStateProvider.detachInactiveViews(false);
+    });
+
+    function inDocument(id) {
+      return !!document.getElementById(id);
+    }
+
+    // The view content is registered using ui-view's "fill" directive, which was added in ui-router 0.2.10
+    if (!version || version >= 210) {
+      it("should detach the view content of an inactivated state and reattach it when reactivated", function() {
+        testGo('A._1');
+        var one = document.getElementById('one');
+        resetTransitionLog();
+        testGo('A._2', { inactivated: 'A._1', entered: 'A._2' });
+        expect(inDocument('one')).toBe(false);
+        expect(inDocument('two')).toBe(true);
+        testGo('A._1', { inactivated: 'A._2', reactivated: 'A._1' });
+        expect(document.getElementById('one')).toBe(one);
+        expect(inDocument('two')).toBe(true);
+      });
+
+      it("should suspend the scope of detached view content from $digest", inject(function($rootScope) {
+        testGo('A._1');
+        testGo('A._2');
+        var count = digests.one;
+        $rootScope.$digest();
+        expect(digests.one).toBe(count);
+        testGo('A._1');
+        expect(digests.one).toBeGreaterThan(count);
+      }));
+
+      it("should detach every sticky state's view content when enabled on the provider", function() {
+        _stickyStateProvider.detachInactiveViews(true);
+        testGo('A._2');
+        testGo('A._1');
+        expect(inDocument('two')).toBe(false);
+      });
+
+      it("should clean up detached view content when the state is exited", function() {
+        testGo('A._1');
+        testGo('A._2');
+        resetTransitionLog();
+        testGo('A', { exited: ['A._1', 'A._2'] });
+        expect(inDocument('one')).toBe(false);
+        expect(el.html()).not.toContain("sticky: A._1");
+      });
+
+      it("should clean up detached view content when the scope of its ui-view is destroyed", function() {
+        testGo('A._1');
+        testGo('A._2');
+        expect(_.keys($stickyState.getStats()[0].watchers)).toEqual(['_1@A']);
+        angular.element(document.getElementById('two')).scope().$parent.$destroy();
+        expect($stickyState.getStats()[0].watchers).toEqual({});
+        expect(el.html()).not.toContain("sticky: A._1");
+      });
+    } else {
+      console.log("Skipping 'detached inactive views' because UI-Router version " + version + " < 210");
+    }
+  });
+
+  describe("scroll and focus restoration", function() {
+    var el, $timeout;
+    beforeEach(inject(function($compile, $rootScope, _$timeout_) {
+      $timeout = _$timeout_;
+      var newStates = {};
+      newStates['A'] = { template: '<div ui-view="_1" autoscroll="false"></div><div ui-view="_2" autoscroll="false"></div>' };
+      newStates['A._1'] = { sticky: true, stickyScroll: '.list', stickyFocus: true, views: { '_1@A': {
+        template: '<div id="list1" class="list"></div><input id="input1">' } } };
+      newStates['A._2'] = { sticky: true, views: { '_2@A': {
+        template: '<div id="list2" class="list"></div><input id="input2">' } } };
+      ssReset(newStates, _stateProvider);
+      el = $compile('<div><div ui-view autoscroll="false"></div></div>')($rootScope);
+      angular.element(document.body).append(el);
+      testGo('A._1');
+      resetTransitionLog();
+    }));
+
+    afterEach(function() {
+      el.remove();
+    });
+
+    // Make the (layout-less) element's scrollTop writable
+    function scrollable(id) {
+      var element = document.getElementById(id);
+      Object.defineProperty(element, 'scrollTop', { value: 0, writable: true });
+      return element;
+    }
+
+    it("should restore the scroll offsets of the stickyScroll elements when reactivated", function() {
+      var list = scrollable('list1');
+      list.scrollTop = 120;
+      testGo('A._2');
+      list.scrollTop = 0;
+      testGo('A._1');
+      expect(list.scrollTop).toBe(0);
+      $timeout.flush();
+      expect(list.scrollTop).toBe(120);
+    });
+
+    it("should restore the focused element when reactivated", function() {
+      document.getElementById('input1').focus();
+      testGo('A._2');
+      document.getElementById('input2').focus();
+      testGo('A._1');
+      $timeout.flush();
+      expect(document.activeElement).toBe(document.getElementById('input1'));
+    });
+
+    it("should forget the saved scroll offsets when the state is exited", function() {
+      var list = scrollable('list1');
+      list.scrollTop = 120;
+      testGo('A._2');
+      testGo('A');
+      testGo('A._1');
+      $timeout.flush();
+      expect(document.getElementById('list1')).not.toBe(list);
+      expect(document.getElementById('list1').scrollTop).toBe(0);
+    });
+  });
+
+  describe("sticky-view directive", function() {
+    var el;
+    beforeEach(inject(function($compile, $rootScope) {
+      var newStates = {};
+      newStates['main'] = {};
+      newStates['A'] = { template: '<div id="_1" sticky-view="A._1"><div ui-view="_1"></div></div><div id="_2" sticky-view="A._2"><div ui-view="_2"></div></div>' };
+      newStates['A._1'] = { sticky: true, views: { '_1@A': { template: 'one' } } };
+      newStates['A._2'] = { sticky: true, views: { '_2@A': { template: 'two' } } };
+      ssReset(newStates, _stateProvider);
+      el = $compile('<div><div ui-view autoscroll="false"></div></div>')($rootScope);
+    }));
+
+    afterEach(function() {
+      el.remove();
+    });
+
+    function classesOf(id) {
+      var view = angular.element(el[0].querySelector('#' + id));
+      return _.filter(['ng-hide', 'sticky-view-active', 'sticky-view-inactive', 'sticky-view-exited'], function(cls) {
+        return view.hasClass(cls);
+      });
+    }
+
+    it("should show the view of the active state and hide the view of an exited state", function() {
+      testGo('A._1');
+      expect(classesOf('_1')).toEqual(['sticky-view-active']);
+      expect(classesOf('_2')).toEqual(['ng-hide', 'sticky-view-exited']);
+    });
+
+    it("should hide the view of an inactive state", function() {
+      testGo('A._1');
+      testGo('A._2');
+      expect(classesOf('_1')).toEqual(['ng-hide', 'sticky-view-inactive']);
+      expect(classesOf('_2')).toEqual(['sticky-view-active']);
+      testGo('A._1');
+      expect(classesOf('_1')).toEqual(['sticky-view-active']);
+      expect(classesOf('_2')).toEqual(['ng-hide', 'sticky-view-inactive']);
+    });
+
+    it("should hide the view of a state when it is exited", function() {
+      testGo('A._1');
+      testGo('A._2');
+      $stickyState.reset('A._1');
+      $q.flush();
+      expect(classesOf('_1')).toEqual(['ng-hide', 'sticky-view-exited']);
+      expect(classesOf('_2')).toEqual(['sticky-view-active']);
+    });
+
+    // ui-router 0.2.8 doesn't link the other directives on a ui-view element
+    if (!version || version >= 210) {
+      it("should work on a ui-view element", inject(function($compile, $rootScope) {
+        el.remove();
+        $state.get('A').template = '<div id="_1" ui-view="_1" sticky-view="A._1"></div><div id="_2" ui-view="_2" sticky-view="A._2"></div>';
+        el = $compile('<div><div ui-view autoscroll="false"></div></div>')($rootScope);
+        testGo('A._1');
+        testGo('A._2');
+        expect(classesOf('_1')).toEqual(['ng-hide', 'sticky-view-inactive']);
+        expect(classesOf('_2')).toEqual(['sticky-view-active']);
+      }));
+    } else {
+      console.log("Skipping 'should work on a ui-view element' because UI-Router version " + version + " < 210");
+    }
+  });
+
+  describe("param-keyed sticky instances", function() {
+    var resolveCount, instantiated, el;
+    beforeEach(inject(function($compile, $rootScope) {
+      resolveCount = 0;
+      instantiated = [];
+      var newStates = {};
+      newStates['main'] = { template: '<div ui-view="customer:1"></div><div ui-view="customer:2"></div><div ui-view="other"></div>' };
+      newStates['main.customer'] = {
+        sticky: { params: ['id'] }, url: '/customer/:id',
+        views: { 'customer@main': { template: '<span class="customer">{{ customer }}</span>', controller: function($scope, customer) {
+          instantiated.push(customer);
+          $scope.customer = customer;
+        } } },
+        resolve: { customer: function($stateParams) { resolveCount++; return "customer" + $stateParams.id; } }
+      };
+      newStates['main.other'] = { sticky: true, views: { 'other@main': {} } };
+      ssReset(newStates, _stateProvider);
+      el = $compile('<div><div ui-view></div></div>')($rootScope);
+      testGo('main');
+      resetTransitionLog();
+    }));
+
+    afterEach(function() {
+      el.remove();
+    });
+
+    // testGo() tracks inactive views by name, which can't tell two instances of one view apart
+    function goCustomer(id) {
+      $state.go('main.customer', { id: id });
+      $q.flush();
+      expect($state.current.name).toBe('main.customer');
+    }
+
+    function inactiveCustomerIds() {
+      var customers = _.filter($stickyState.getInactiveStates(), { name: 'main.customer' });
+      return _.map(customers, function(state) { return state.locals.globals.$stateParams.id; }).sort();
+    }
+
+    it("should keep one inactive instance per distinct param set", function() {
+      goCustomer('1');
+      goCustomer('2');
+      expect(tLog.inactivated).toEqual(['main.customer']);
+      expect(tLog.exited).toEqual([]);
+      expect(inactiveCustomerIds()).toEqual(['1']);
+      $state.go('main.other');
+      $q.flush();
+      expect(tLog.inactivated).toEqual(['main.customer', 'main.customer']);
+      expect(inactiveCustomerIds()).toEqual(['1', '2']);
+    });
+
+    it("should reactivate the instance matching the params", function() {
+      goCustomer('1');
+      goCustomer('2');
+      $state.go('main.other');
+      $q.flush();
+      resetTransitionLog();
+      goCustomer('1');
+      expect(tLog.reactivated).toEqual(['main.customer']);
+      expect(tLog.inactivated).toEqual(['main.other']);
+      expect(tLog.entered).toEqual([]);
+      expect($state.params.id).toBe('1');
+      expect($state.$current.locals.globals.customer).toBe("customer1");
+      expect(resolveCount).toBe(2);
+      expect(inactiveCustomerIds()).toEqual(['2']);
+    });
+
+    it("should reactivate one instance while inactivating another", function() {
+      goCustomer('1');
+      goCustomer('2');
+      resetTransitionLog();
+      goCustomer('1');
+      expect(tLog.inactivated).toEqual(['main.customer']);
+      expect(tLog.reactivated).toEqual(['main.customer']);
+      expect($state.$current.locals.globals.customer).toBe("customer1");
+      expect(inactiveCustomerIds()).toEqual(['2']);
+    });
+
+    it("should keep the DOM of each instance alive in its instance-scoped ui-views", function() {
+      goCustomer('1');
+      var customer1 = el[0].querySelector('.customer');
+      goCustomer('2');
+      $state.go('main.other');
+      $q.flush();
+      goCustomer('2');
+      goCustomer('1');
+      expect(instantiated).toEqual(["customer1", "customer2"]);
+      expect(resolveCount).toBe(2);
+      var rendered = el[0].querySelectorAll('.customer');
+      expect(_.map(rendered, function(element) { return angular.element(element).text(); })).toEqual(["customer1", "customer2"]);
+      expect(rendered[0]).toBe(customer1);
+    });
+
+    it("should remove the DOM of an instance when it is exited", function() {
+      goCustomer('1');
+      goCustomer('2');
+      $stickyState.reset('main.customer', { id: '1' });
+      $state.go('main.other');
+      $q.flush();
+      var rendered = el[0].querySelectorAll('.customer');
+      expect(_.map(rendered, function(element) { return angular.element(element).text(); })).toEqual(["customer2"]);
+    });
+
+    it("should reset() only the instance matching the params", function() {
+      goCustomer('1');
+      goCustomer('2');
+      $state.go('main.other');
+      $q.flush();
+      resetTransitionLog();
+      expect($stickyState.reset('main.customer', { id: '1' })).toBe(true);
+      expect(tLog.exited).toEqual(['main.customer']);
+      expect(inactiveCustomerIds()).toEqual(['2']);
+    });
+
+    it("should reset() every instance when no params are given", function() {
+      goCustomer('1');
+      goCustomer('2');
+      $state.go('main.other');
+      $q.flush();
+      resetTransitionLog();
+      expect($stickyState.reset('main.customer')).toBe(true);
+      expect(tLog.exited).toEqual(['main.customer', 'main.customer']);
+      expect(inactiveCustomerIds()).toEqual([]);
+    });
+  });
+
   describe("transitions to sibling of non-sticky inactive state", function() {
     // Tests for issue #217
 